@@ -15,6 +15,53 @@ export class Entity {
         this.w = w;
         this.h = h;
         this.dead = false;
+        // Collision boxes relative to (x, y), when they differ from the drawn w × h box
+        // (e.g. a thin pole with arms); null collides with the whole box.
+        this.shape = null;
+        // Position at the start of the current step, for interpolated rendering.
+        this.prevX = x;
+        this.prevY = y;
+    }
+
+    /**
+     * Collision boxes in world coordinates.
+     * @returns {{x: number, y: number, w: number, h: number}[]}
+     */
+    get hitboxes() {
+        if (!this.shape) return [this];
+        return this.shape.map(s => ({ x: this.x + s.x, y: this.y + s.y, w: s.w, h: s.h }));
+    }
+
+    /**
+     * Smallest box around the hitboxes (what broadphase indexes by).
+     * @returns {{x: number, y: number, w: number, h: number}}
+     */
+    get bounds() {
+        if (!this.shape) return this;
+        const boxes = this.hitboxes;
+        const x = Math.min(...boxes.map(b => b.x)), y = Math.min(...boxes.map(b => b.y));
+        const w = Math.max(...boxes.map(b => b.x + b.w)) - x, h = Math.max(...boxes.map(b => b.y + b.h)) - y;
+        return { x, y, w, h };
+    }
+
+    /**
+     * Outlines the hitboxes (debug overlay).
+     * @param {CanvasRenderingContext2D} ctx
+     */
+    drawHitboxes(ctx) {
+        ctx.save();
+        ctx.strokeStyle = "rgba(231, 76, 60, 0.9)";
+        ctx.lineWidth = 1;
+        this.hitboxes.forEach(b => ctx.strokeRect(b.x + 0.5, b.y + 0.5, b.w - 1, b.h - 1));
+        ctx.restore();
+    }
+
+    /**
+     * Remembers the current position as the start of the next step.
+     */
+    savePosition() {
+        this.prevX = this.x;
+        this.prevY = this.y;
     }
 
     /**
@@ -29,4 +76,22 @@ export class Entity {
      * @param {CanvasRenderingContext2D} ctx 
      */
     draw(ctx) { }
+
+    /**
+     * Draws the entity between its previous and current position.
+     * @param {CanvasRenderingContext2D} ctx 
+     * @param {number} alpha - Fraction of a step elapsed since the last update (0..1).
+     */
+    drawInterpolated(ctx, alpha) {
+        const dx = (this.prevX - this.x) * (1 - alpha);
+        const dy = (this.prevY - this.y) * (1 - alpha);
+        if (dx === 0 && dy === 0) {
+            this.draw(ctx);
+            return;
+        }
+        ctx.save();
+        ctx.translate(dx, dy);
+        this.draw(ctx);
+        ctx.restore();
+    }
 }
\ No newline at end of file
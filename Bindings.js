@@ -0,0 +1,189 @@
+/**
+ * localStorage key for the player's key bindings.
+ */
+const STORAGE_KEY = "farmer-harvest:bindings";
+
+/**
+ * Actions keys can be bound to, in the order the controls screen lists them.
+ * Movement actions have the canonical arrow key the simulation reads for them (see movementOf) and
+ * the player they move; in solo both players' keys move the one farmer. The others are triggered once
+ * per key press.
+ */
+export const ACTIONS = Object.freeze({
+    moveLeft: { label: "P1 move left", key: "ArrowLeft", player: 0 },
+    moveRight: { label: "P1 move right", key: "ArrowRight", player: 0 },
+    moveUp: { label: "P1 move up", key: "ArrowUp", player: 0 },
+    moveDown: { label: "P1 move down", key: "ArrowDown", player: 0 },
+    p2MoveLeft: { label: "P2 move left", key: "ArrowLeft", player: 1 },
+    p2MoveRight: { label: "P2 move right", key: "ArrowRight", player: 1 },
+    p2MoveUp: { label: "P2 move up", key: "ArrowUp", player: 1 },
+    p2MoveDown: { label: "P2 move down", key: "ArrowDown", player: 1 },
+    pause: { label: "Pause / resume" },
+    continue: { label: "Next level" },
+    restart: { label: "Back to menu" },
+    navDebug: { label: "Pathfinding overlay" }
+});
+
+/**
+ * Default bindings by action, as KeyboardEvent.code values (physical keys, so WASD sits in the same
+ * place on AZERTY or Dvorak keyboards).
+ */
+export const DEFAULT_BINDINGS = Object.freeze({
+    moveLeft: ["KeyA"],
+    moveRight: ["KeyD"],
+    moveUp: ["KeyW"],
+    moveDown: ["KeyS"],
+    p2MoveLeft: ["ArrowLeft"],
+    p2MoveRight: ["ArrowRight"],
+    p2MoveUp: ["ArrowUp"],
+    p2MoveDown: ["ArrowDown"],
+    pause: ["KeyP", "Escape"],
+    continue: ["Enter"],
+    restart: ["KeyR"],
+    navDebug: ["KeyG"]
+});
+
+/**
+ * Readable name of a KeyboardEvent.code, e.g. "KeyW" → "W", "ArrowLeft" → "←".
+ * @param {string} code
+ * @param {Map<string, string>} [layout] - Keyboard layout map (code → character) when the browser provides one.
+ * @returns {string}
+ */
+export function keyLabel(code, layout) {
+    if (layout && layout.has(code)) return layout.get(code).toUpperCase();
+    const arrows = { ArrowLeft: "←", ArrowRight: "→", ArrowUp: "↑", ArrowDown: "↓" };
+    if (arrows[code]) return arrows[code];
+    return code.replace(/^Key|^Digit/, "").replace(/^Numpad/, "Num ").replace(/(Left|Right)$/, " ($1)");
+}
+
+/**
+ * KeyBindings maps keys (KeyboardEvent.code) to actions, several keys per action, and persists the
+ * player's changes. A key belongs to at most one action.
+ */
+export class KeyBindings {
+    /**
+     * Creates bindings, loading stored ones over the defaults.
+     * @param {Storage} [storage] - Defaults to window.localStorage when available.
+     */
+    constructor(storage = globalThis.localStorage) {
+        this.storage = storage;
+        this.bindings = this.load();
+    }
+
+    /**
+     * Stored bindings merged over the defaults; unknown actions and keys bound twice are dropped.
+     * @returns {Object<string, string[]>}
+     */
+    load() {
+        const bindings = KeyBindings.defaults();
+        if (!this.storage) return bindings;
+        try {
+            const stored = JSON.parse(this.storage.getItem(STORAGE_KEY) || "null");
+            if (!stored) return bindings;
+            // Bindings stored before player 2 had actions put the arrow keys on player 1's moves; player 2's
+            // default keys go back to player 2 (a move left with no key falls back to its default).
+            const p2Actions = Object.keys(ACTIONS).filter(action => ACTIONS[action].player === 1);
+            if (!p2Actions.some(action => Array.isArray(stored[action]))) {
+                const p2Keys = new Set(p2Actions.flatMap(action => DEFAULT_BINDINGS[action]));
+                Object.keys(ACTIONS)
+                    .filter(action => ACTIONS[action].player === 0 && Array.isArray(stored[action]))
+                    .forEach(action => {
+                        const kept = stored[action].filter(code => !p2Keys.has(code));
+                        stored[action] = kept.length ? kept : [...DEFAULT_BINDINGS[action]];
+                    });
+            }
+            const seen = new Set();
+            const unique = code => typeof code === "string" && !seen.has(code) && Boolean(seen.add(code));
+            const storedActions = Object.keys(ACTIONS).filter(action => Array.isArray(stored[action]));
+            storedActions.forEach(action => { bindings[action] = stored[action].filter(unique); });
+            // Defaults kept for actions added since the bindings were stored must not clash with stored keys.
+            Object.keys(ACTIONS)
+                .filter(action => !storedActions.includes(action))
+                .forEach(action => { bindings[action] = bindings[action].filter(unique); });
+        } catch (error) {
+            console.warn('Ignoring stored key bindings:', error);
+        }
+        return bindings;
+    }
+
+    /**
+     * A fresh copy of the default bindings.
+     * @returns {Object<string, string[]>}
+     */
+    static defaults() {
+        return Object.fromEntries(Object.entries(DEFAULT_BINDINGS).map(([action, codes]) => [action, [...codes]]));
+    }
+
+    /**
+     * Writes the bindings to storage.
+     */
+    save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(this.bindings));
+        } catch (error) {
+            console.warn('Could not store key bindings:', error);
+        }
+    }
+
+    /**
+     * Action a key is bound to.
+     * @param {string} code - KeyboardEvent.code.
+     * @returns {string|null}
+     */
+    actionFor(code) {
+        return Object.keys(this.bindings).find(action => this.bindings[action].includes(code)) || null;
+    }
+
+    /**
+     * Keys bound to an action.
+     * @param {string} action
+     * @returns {string[]}
+     */
+    codesFor(action) {
+        return this.bindings[action] || [];
+    }
+
+    /**
+     * Binds a key to an action, replacing one of its keys or adding another.
+     * Refuses when the key already belongs to another action, unless asked to take it over; a key is
+     * never taken from an action it is the only key of, so every action keeps at least one key.
+     * @param {string} action
+     * @param {string} code - KeyboardEvent.code.
+     * @param {Object} [options]
+     * @param {number} [options.slot] - Index of the key to replace; appended when omitted.
+     * @param {boolean} [options.steal] - Move the key away from the action it is bound to, if that action has another key.
+     * @returns {string|null} The conflicting action when refused, else null.
+     */
+    bind(action, code, { slot, steal = false } = {}) {
+        const owner = this.actionFor(code);
+        if (owner && owner !== action) {
+            if (!steal || this.codesFor(owner).length <= 1) return owner;
+            this.unbind(owner, code);
+        }
+        const codes = this.bindings[action].filter(c => c !== code);
+        if (slot === undefined || slot >= codes.length) codes.push(code);
+        else codes.splice(slot, 1, code);
+        this.bindings[action] = codes;
+        this.save();
+        return null;
+    }
+
+    /**
+     * Removes a key from an action.
+     * @param {string} action
+     * @param {string} code
+     */
+    unbind(action, code) {
+        this.bindings[action] = this.bindings[action].filter(c => c !== code);
+        this.save();
+    }
+
+    /**
+     * Restores the default bindings.
+     */
+    reset() {
+        this.bindings = KeyBindings.defaults();
+        this.save();
+    }
+}
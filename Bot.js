@@ -0,0 +1,175 @@
+import { TILE } from './Utils.js';
+
+/**
+ * Center point of an entity's box.
+ * @param {Entity} e
+ * @returns {{x: number, y: number}}
+ */
+const center = e => ({ x: e.x + e.w / 2, y: e.y + e.h / 2 });
+
+/**
+ * Bot is an autonomous player for balance testing. It is an input source like Input: the farmer reads
+ * its keys Set in handleInput, and think(sim) fills that Set before each step, so it drives the same
+ * code path as a person at the keyboard (and its runs record and replay like any other).
+ *
+ * It heads for the crop (or power-up) worth the most per second of walking, judging crops by the
+ * ripeness they will have on arrival, routes around scarecrows, fences and ponds with the simulation's
+ * NavGrid, and sidesteps crows that come close.
+ */
+export class Bot {
+    static CANDIDATES = 6;        // best straight-line targets that get a real path each plan
+    static REPLAN_SECONDS = 0.5;  // game-clock seconds between plans
+    static CROW_ALERT = 60;       // pixels; closer crows are dodged
+    static CROW_NEAR_TARGET = 50; // pixels; targets this close to a crow are worth half
+    static POWER_UP_VALUE = 2;    // what a power-up counts as, in points
+    static STUCK_STEPS = 20;      // steps without moving before the current target is given up
+
+    /**
+     * Creates an idle bot.
+     */
+    constructor() {
+        this.keys = new Set();
+        this.target = null;
+        this.path = [];
+        this.nextPlanAt = 0;
+        this.stuckSteps = 0;
+        this.lastPosition = null;
+        this.givenUp = new WeakSet();
+    }
+
+    /**
+     * Decides the keys for the next step.
+     * @param {Simulation} sim
+     */
+    think(sim) {
+        const moved = this.keys.size > 0;
+        this.keys.clear();
+        if (sim.state !== "PLAYING") return;
+        const here = center(sim.player);
+
+        // Give up on a target after pressing keys for a while without getting anywhere.
+        const still = this.lastPosition && this.lastPosition.x === here.x && this.lastPosition.y === here.y;
+        this.stuckSteps = moved && still ? this.stuckSteps + 1 : 0;
+        this.lastPosition = here;
+        if (this.stuckSteps > Bot.STUCK_STEPS && this.target) {
+            this.givenUp.add(this.target);
+            this.target = null;
+            this.stuckSteps = 0;
+        }
+
+        if (this.dodge(sim)) return;
+        const targetGone = !this.target || this.target.dead || !sim.crops.concat(sim.powerUps).includes(this.target);
+        if (targetGone || sim.now() >= this.nextPlanAt) this.plan(sim);
+        this.follow(sim);
+    }
+
+    /**
+     * Points a target is worth if reached after some seconds of walking.
+     * @param {Entity} target - A crop or power-up.
+     * @param {number} seconds
+     * @returns {number}
+     */
+    valueOf(target, seconds) {
+        if (!target.definition) return Bot.POWER_UP_VALUE;
+        return target.definition.points[target.stageAt(target.age + seconds)];
+    }
+
+    /**
+     * Picks the best target and a path to it.
+     * @param {Simulation} sim
+     */
+    plan(sim) {
+        const { nav, player } = sim;
+        const here = center(player);
+        const from = nav.cellOf(player);
+        const rate = (target, seconds) => {
+            const value = this.valueOf(target, seconds);
+            const { x, y } = center(target);
+            const crowNear = sim.spatial.crows.queryRadius(x, y, Bot.CROW_NEAR_TARGET).length > 0;
+            return (crowNear ? value / 2 : value) / (seconds + 0.3);
+        };
+
+        // Rank by straight-line distance first, then route only the most promising few.
+        const ranked = [...sim.crops, ...sim.powerUps]
+            .filter(t => !t.dead && !this.givenUp.has(t))
+            .map(t => {
+                const { x, y } = center(t);
+                return { t, score: rate(t, Math.hypot(x - here.x, y - here.y) / player.speed) };
+            })
+            .filter(({ score }) => score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, Bot.CANDIDATES);
+
+        let best = null;
+        ranked.forEach(({ t }) => {
+            const path = this.routeTo(nav, from, t);
+            if (!path) return;
+            const score = rate(t, (path.length - 1) * TILE / player.speed);
+            if (score > 0 && (!best || score > best.score)) best = { t, path, score };
+        });
+        this.target = best ? best.t : null;
+        this.path = best ? best.path.slice(1) : [];
+        this.nextPlanAt = sim.now() + Bot.REPLAN_SECONDS;
+    }
+
+    /**
+     * Path to a target: to its own cell, or to a neighbouring cell the farmer can reach it from.
+     * @param {NavGrid} nav
+     * @param {number[]} from - Start cell.
+     * @param {Entity} target
+     * @returns {number[][]|null}
+     */
+    routeTo(nav, from, target) {
+        const [col, row] = nav.cellOf(target);
+        for (const [dc, dr] of [[0, 0], [0, 1], [0, -1], [1, 0], [-1, 0]]) {
+            if (!nav.walkable(col + dc, row + dr)) continue;
+            const path = nav.findPath(from, [col + dc, row + dr]);
+            if (path) return path;
+        }
+        return null;
+    }
+
+    /**
+     * Presses keys along the path, one axis at a time so the farmer stays in walkable cells;
+     * once the path is used up, heads straight for the target.
+     * @param {Simulation} sim
+     */
+    follow(sim) {
+        const { player, nav } = sim;
+        if (!this.target) return;
+        const here = center(player);
+        // Within half a step counts as there: the farmer moves speed / tickRate pixels per step.
+        const slack = player.speed / sim.config.tickRate / 2;
+        let goal = this.path.length ? nav.cellCenter(this.path[0]) : center(this.target);
+        if (this.path.length && Math.abs(goal.x - here.x) <= slack && Math.abs(goal.y - here.y) <= slack) {
+            this.path.shift();
+            goal = this.path.length ? nav.cellCenter(this.path[0]) : center(this.target);
+        }
+        const dx = goal.x - here.x, dy = goal.y - here.y;
+        if (Math.abs(dx) > slack && (Math.abs(dx) >= Math.abs(dy) || Math.abs(dy) <= slack)) {
+            this.keys.add(dx > 0 ? "ArrowRight" : "ArrowLeft");
+        } else if (Math.abs(dy) > slack) {
+            this.keys.add(dy > 0 ? "ArrowDown" : "ArrowUp");
+        }
+    }
+
+    /**
+     * Steps away from the nearest crow if one is close.
+     * @param {Simulation} sim
+     * @returns {boolean} True if dodging this step.
+     */
+    dodge(sim) {
+        const here = center(sim.player);
+        let nearest = null, nearestDist = Bot.CROW_ALERT;
+        sim.spatial.crows.queryRadius(here.x, here.y, Bot.CROW_ALERT).forEach(crow => {
+            const { x, y } = center(crow);
+            const d = Math.hypot(x - here.x, y - here.y);
+            if (d < nearestDist) { nearest = { x, y }; nearestDist = d; }
+        });
+        if (!nearest) return false;
+        const dx = here.x - nearest.x, dy = here.y - nearest.y;
+        if (Math.abs(dx) >= Math.abs(dy)) this.keys.add(dx >= 0 ? "ArrowRight" : "ArrowLeft");
+        else this.keys.add(dy >= 0 ? "ArrowDown" : "ArrowUp");
+        return true;
+    }
+}
@@ -0,0 +1,75 @@
+/**
+ * Game clock owned by a Simulation: seconds of play, advanced only by steps taken while PLAYING.
+ * Pausing, sitting on a level summary or tabbing away never uses up a timer, and a replay sees
+ * exactly the times of its recording. Entities read it through the game argument of update(dt, game).
+ */
+export class Clock {
+    /**
+     * Creates a clock at time 0.
+     */
+    constructor() {
+        this.time = 0;
+    }
+
+    /**
+     * Moves the clock forward by one step.
+     * @param {number} dt - Step length in seconds.
+     */
+    advance(dt) {
+        this.time += dt;
+    }
+
+    /**
+     * Sets the clock back to 0 (new run).
+     */
+    reset() {
+        this.time = 0;
+    }
+
+    /**
+     * Seconds of play since a moment.
+     * @param {number} start - Clock time of the moment.
+     * @returns {number}
+     */
+    since(start) {
+        return this.time - start;
+    }
+
+    /**
+     * Seconds of play left until a moment (negative once it has passed).
+     * @param {number} end - Clock time of the moment.
+     * @returns {number}
+     */
+    until(end) {
+        return end - this.time;
+    }
+}
+
+/**
+ * Repeating timer on a game Clock, e.g. "spawn a crop every 0.8 seconds".
+ */
+export class Timer {
+    /**
+     * Creates a timer that first fires one interval from now.
+     * @param {Clock} clock
+     * @param {number} interval - Seconds between firings.
+     */
+    constructor(clock, interval) {
+        this.clock = clock;
+        this.interval = interval;
+        this.next = clock.time + interval;
+    }
+
+    /**
+     * Counts the firings due by the current clock time and schedules the next one.
+     * @returns {number} How many times the timer fired (more than 1 after a long step).
+     */
+    due() {
+        let count = 0;
+        while (this.clock.time >= this.next) {
+            this.next += this.interval;
+            count++;
+        }
+        return count;
+    }
+}
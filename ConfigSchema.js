@@ -0,0 +1,315 @@
+/**
+ * Schema for the levels config (config.json), with type/range checks and per-field defaults.
+ * DOM-free, so the same validator runs in the browser and from Node (tools/validate-config.js).
+ */
+import { Crop } from './Crop.js';
+import { PowerUp } from './PowerUp.js';
+import { Crow } from './Obstacle.js';
+import { TileMap } from './TileMap.js';
+import { WIDTH, HEIGHT, TILE } from './Utils.js';
+
+/**
+ * Rules for the top-level fields.
+ * Each rule: type, optional min/max (inclusive), and the default used when the field is missing.
+ */
+export const CONFIG_FIELDS = Object.freeze({
+    tickRate: { type: "integer", min: 10, max: 240, default: 60 },
+    seed: { type: ["string", "integer"], optional: true },
+});
+
+/**
+ * Rules for the fields of each crop type in config.crops. Entries are merged over the built-in
+ * type of the same name (Crop.BUILTIN_TYPES), so overrides only list what changes; new types
+ * must give points, durations and a renderer.
+ */
+export const CROP_FIELDS = Object.freeze({
+    // Score for harvesting in each growth stage, e.g. { "seedling": 0, "growing": 1, "ripe": 3, ... }.
+    points: { type: "object", required: true, check: (points, where, errors) => checkStages(points, "integer", where, errors) },
+    // Seconds spent in each growth stage.
+    durations: { type: "object", required: true, check: (durations, where, errors) => checkStages(durations, "number", where, errors) },
+    size: { type: "array", default: [20, 26], check: checkSize },
+    // Relative spawn odds in levels without a crop mix.
+    weight: { type: "number", min: 0, default: 1 },
+    // A built-in vector renderer name, or { "sprite": "sprites/crops.png", "frame": [x, y, w, h] }.
+    renderer: { type: ["string", "object"], required: true, check: checkRenderer },
+    // Main color while growing, ripe and overripe (vector renderers).
+    colors: { type: "object", optional: true },
+});
+
+/**
+ * Rules for the fields of each entry in config.levels.
+ */
+export const LEVEL_FIELDS = Object.freeze({
+    name: { type: "string", optional: true },
+    intro: { type: "string", optional: true },
+    goal: { type: "integer", min: 1, default: 15 },
+    timeLimit: { type: "number", min: 1, default: 60 },
+    spawnEvery: { type: "number", min: 0.05, default: 0.8 },
+    crowSpawnEvery: { type: "number", min: 0.1, default: 5 },
+    powerUpSpawnEvery: { type: "number", min: 0.1, default: 10 },
+    numScarecrows: { type: "integer", min: 0, max: 40, default: 2 },
+    // Relative spawn weights by crop type, e.g. { "wheat": 3, "golden_apple": 1 }; the types' own weights when missing.
+    crops: { type: "object", optional: true, check: checkCropMix },
+    maxCrows: { type: "integer", min: 0, optional: true },
+    // Crows never spawn closer than this many pixels to the farmer.
+    crowMinDistance: { type: "number", min: 0, max: 600, default: 150 },
+    powerUps: { type: "array", default: ["speed"], check: checkPowerUpKinds },
+    // What crows do besides wandering (see Crow.BEHAVIORS); the default keeps them harmless wanderers.
+    crowBehaviors: { type: "array", default: ["wander"], check: checkCrowBehaviors },
+    palette: { type: "object", optional: true, check: checkPalette },
+    // Hand-placed scarecrows as [column, row] tiles; replaces numScarecrows random placement.
+    scarecrows: { type: "array", optional: true, check: checkTileList },
+    // Hand-authored layout, one string per tile row (see TileMap.js); replaces random scarecrows.
+    map: { type: "array", optional: true, check: (rows, where, errors) => TileMap.validate(rows, where, errors) },
+});
+
+/**
+ * Checks a value for every growth stage (see Crop.STAGES).
+ * @param {Object} values - Value by stage name.
+ * @param {string} type - Schema type of each value.
+ * @param {string} where - Path for error messages.
+ * @param {string[]} errors
+ */
+function checkStages(values, type, where, errors) {
+    Crop.STAGES.forEach(stage => {
+        const value = values[stage];
+        if (!isType(value, type) || (type === "number" && value < 0)) {
+            errors.push(`${where}.${stage} must be ${type === "number" ? "a number >= 0" : "an integer"} (got ${JSON.stringify(value)})`);
+        }
+    });
+}
+
+/**
+ * Checks a crop size: [width, height] in pixels, each from 4 to TILE * 2.
+ * @param {Array} size
+ * @param {string} where - Path for error messages.
+ * @param {string[]} errors
+ */
+function checkSize(size, where, errors) {
+    const ok = size.length === 2 && size.every(n => isType(n, "number") && n >= 4 && n <= TILE * 2);
+    if (!ok) errors.push(`${where} must be [width, height] with each from 4 to ${TILE * 2} (got ${JSON.stringify(size)})`);
+}
+
+/**
+ * Checks a crop renderer: a built-in vector renderer name or a sprite sheet frame.
+ * @param {string|Object} renderer
+ * @param {string} where - Path for error messages.
+ * @param {string[]} errors
+ */
+function checkRenderer(renderer, where, errors) {
+    const names = Object.keys(Crop.RENDERERS);
+    if (typeof renderer === "string") {
+        if (!names.includes(renderer)) errors.push(`${where} is not a renderer (expected one of ${names.join(", ")}, or { sprite, frame })`);
+        return;
+    }
+    if (!isType(renderer.sprite, "string")) errors.push(`${where}.sprite must be an image URL string`);
+    const frame = renderer.frame;
+    if (!Array.isArray(frame) || frame.length !== 4 || !frame.every(n => isType(n, "number") && n >= 0)) {
+        errors.push(`${where}.frame must be [x, y, width, height] in the sprite sheet (got ${JSON.stringify(frame)})`);
+    }
+}
+
+/**
+ * Builds the crop registry: built-in types with config.crops merged over them.
+ * Object fields (points, durations, colors) are merged per key, so one stage can be changed alone.
+ * @param {*} raw - config.crops as written.
+ * @param {string[]} errors
+ * @returns {Object} Checked crop types by name.
+ */
+function checkCropTypes(raw, errors) {
+    if (raw !== undefined && !isType(raw, "object")) {
+        errors.push(`crops must be an object of crop types by name (got ${JSON.stringify(raw)})`);
+        raw = {};
+    }
+    const overrides = raw || {};
+    const names = [...new Set([...Object.keys(Crop.BUILTIN_TYPES), ...Object.keys(overrides)])];
+    const types = Object.fromEntries(names.map(name => {
+        const base = Crop.BUILTIN_TYPES[name] || {};
+        const override = overrides[name] === undefined ? {} : overrides[name];
+        if (!isType(override, "object")) {
+            errors.push(`crops.${name} must be an object`);
+            return [name, base];
+        }
+        const merged = { ...base };
+        for (const [key, value] of Object.entries(override)) {
+            merged[key] = isType(value, "object") && isType(base[key], "object") ? { ...base[key], ...value } : value;
+        }
+        return [name, checkFields(merged, CROP_FIELDS, `crops.${name}`, errors)];
+    }));
+    if (!Object.values(types).some(type => type.weight > 0)) errors.push("crops must give at least one crop type a weight > 0");
+    return types;
+}
+
+/**
+ * Checks a level's crop mix: known crop types with non-negative weights, at least one positive.
+ * @param {Object} mix
+ * @param {string} where - Path for error messages.
+ * @param {string[]} errors
+ * @param {Object} config - The config being checked, for its crop types.
+ */
+function checkCropMix(mix, where, errors, config) {
+    const types = Object.keys(config.crops);
+    for (const [type, weight] of Object.entries(mix)) {
+        if (!types.includes(type)) errors.push(`${where}.${type} is not a crop type (expected one of ${types.join(", ")})`);
+        else if (!isType(weight, "number") || weight < 0) errors.push(`${where}.${type} must be a number >= 0 (got ${JSON.stringify(weight)})`);
+    }
+    if (!Object.values(mix).some(weight => weight > 0)) errors.push(`${where} must give at least one crop type a weight > 0`);
+}
+
+/**
+ * Checks a level's list of power-up kinds.
+ * @param {string[]} kinds
+ * @param {string} where - Path for error messages.
+ * @param {string[]} errors
+ */
+function checkPowerUpKinds(kinds, where, errors) {
+    kinds.forEach((kind, i) => {
+        if (!PowerUp.KINDS.includes(kind)) errors.push(`${where}[${i}] is not a power-up kind (expected one of ${PowerUp.KINDS.join(", ")})`);
+    });
+}
+
+/**
+ * Checks a level's list of crow behaviors.
+ * @param {string[]} behaviors
+ * @param {string} where - Path for error messages.
+ * @param {string[]} errors
+ */
+function checkCrowBehaviors(behaviors, where, errors) {
+    behaviors.forEach((behavior, i) => {
+        if (!Crow.BEHAVIORS.includes(behavior)) errors.push(`${where}[${i}] is not a crow behavior (expected one of ${Crow.BEHAVIORS.join(", ")})`);
+    });
+}
+
+/**
+ * Checks a level's background palette ({ background, grid } CSS colors).
+ * @param {Object} palette
+ * @param {string} where - Path for error messages.
+ * @param {string[]} errors
+ */
+function checkPalette(palette, where, errors) {
+    ["background", "grid"].forEach(key => {
+        if (palette[key] !== undefined && !isType(palette[key], "string")) errors.push(`${where}.${key} must be a CSS color string`);
+    });
+}
+
+/**
+ * Checks a list of [column, row] tiles inside the field.
+ * @param {Array} tiles
+ * @param {string} where - Path for error messages.
+ * @param {string[]} errors
+ */
+function checkTileList(tiles, where, errors) {
+    const cols = WIDTH / TILE, rows = HEIGHT / TILE;
+    tiles.forEach((tile, i) => {
+        const ok = Array.isArray(tile) && tile.length === 2 && Number.isInteger(tile[0]) && Number.isInteger(tile[1])
+            && tile[0] >= 0 && tile[0] < cols && tile[1] >= 0 && tile[1] < rows;
+        if (!ok) errors.push(`${where}[${i}] must be a [column, row] tile with column 0-${cols - 1} and row 0-${rows - 1} (got ${JSON.stringify(tile)})`);
+    });
+}
+
+/**
+ * Whether a value matches a schema type name.
+ * @param {*} value
+ * @param {string} type - "number", "integer", "string", "boolean", "array" or "object".
+ * @returns {boolean}
+ */
+function isType(value, type) {
+    switch (type) {
+        case "number": return typeof value === "number" && Number.isFinite(value);
+        case "integer": return Number.isInteger(value);
+        case "string": return typeof value === "string";
+        case "boolean": return typeof value === "boolean";
+        case "array": return Array.isArray(value);
+        case "object": return value !== null && typeof value === "object" && !Array.isArray(value);
+        default: return false;
+    }
+}
+
+/**
+ * Describes what a rule expects, for error messages.
+ * @param {Object} rule
+ * @returns {string}
+ */
+function describe(rule) {
+    const types = [].concat(rule.type).join(" or ");
+    const article = /^[aeiou]/.test(types) ? "an" : "a";
+    if (rule.min !== undefined && rule.max !== undefined) return `${article} ${types} from ${rule.min} to ${rule.max}`;
+    if (rule.min !== undefined) return `${article} ${types} >= ${rule.min}`;
+    if (rule.max !== undefined) return `${article} ${types} <= ${rule.max}`;
+    return `${article} ${types}`;
+}
+
+/**
+ * Checks the fields of one object against a set of rules.
+ * @param {Object} source - Object to check.
+ * @param {Object} fields - Rules by field name.
+ * @param {string} path - Path of the object for error messages, e.g. "levels[1]".
+ * @param {string[]} errors - Collected error messages.
+ * @param {Object} [context] - The whole config, passed on to rule checks that need it.
+ * @returns {Object} Copy of source with defaults filled in; unknown fields are kept as-is.
+ */
+function checkFields(source, fields, path, errors, context) {
+    const out = { ...source };
+    for (const [name, rule] of Object.entries(fields)) {
+        const where = path ? `${path}.${name}` : name;
+        const value = source[name];
+        if (value === undefined) {
+            if (rule.required) errors.push(`${where} is required`);
+            else if (!rule.optional) out[name] = rule.default;
+            continue;
+        }
+        const typeOk = [].concat(rule.type).some(t => isType(value, t));
+        const rangeOk = typeOk && typeof value === "number"
+            ? (rule.min === undefined || value >= rule.min) && (rule.max === undefined || value <= rule.max)
+            : true;
+        if (!typeOk || !rangeOk) {
+            errors.push(`${where} must be ${describe(rule)} (got ${JSON.stringify(value)})`);
+            continue;
+        }
+        if (rule.check) rule.check(value, where, errors, context);
+    }
+    return out;
+}
+
+/**
+ * Error for a config that failed validation; carries one message per problem.
+ */
+export class ConfigError extends Error {
+    /**
+     * @param {string} message - Summary, e.g. "config.json has problems".
+     * @param {string[]} errors - Messages from validateConfig.
+     */
+    constructor(message, errors) {
+        super(message);
+        this.name = "ConfigError";
+        this.errors = errors;
+    }
+}
+
+/**
+ * Validates a parsed levels config.
+ * @param {*} raw - Parsed JSON from a config file.
+ * @returns {{config: Object, errors: string[]}} The config with defaults applied, and one message
+ *   per problem naming the level index and field; the config is only safe to use when errors is empty.
+ */
+export function validateConfig(raw) {
+    const errors = [];
+    if (!isType(raw, "object")) {
+        return { config: null, errors: ["config must be a JSON object with a \"levels\" array"] };
+    }
+    const config = checkFields(raw, CONFIG_FIELDS, "", errors);
+    config.crops = checkCropTypes(raw.crops, errors);
+    if (!Array.isArray(raw.levels) || raw.levels.length === 0) {
+        errors.push("levels must be a non-empty array");
+        config.levels = [];
+        return { config, errors };
+    }
+    config.levels = raw.levels.map((level, i) => {
+        if (!isType(level, "object")) {
+            errors.push(`levels[${i}] must be an object`);
+            return level;
+        }
+        return checkFields(level, LEVEL_FIELDS, `levels[${i}]`, errors, config);
+    });
+    return { config, errors };
+}
@@ -0,0 +1,190 @@
+import { ACTIONS, keyLabel } from './Bindings.js';
+
+/**
+ * ControlsScreen is the key binding settings panel: it lists every action with its keys, rebinds a
+ * key by capturing the next key press, and warns before taking a key away from another action.
+ */
+export class ControlsScreen {
+    /**
+     * Creates the screen (closed) and wires its controls.
+     * @param {Game} game - The game, for its Input and pausing.
+     */
+    constructor(game) {
+        this.game = game;
+        this.input = game.input;
+        this.bindings = game.input.bindings;
+        // { action, slot } while waiting for a key press; slot is undefined when adding a key.
+        this.pending = null;
+        // Key refused once for belonging to another action; pressing it again takes it over.
+        this.conflict = null;
+        // Code → character map of the player's keyboard layout, where the browser offers one.
+        this.layout = null;
+
+        const get = id => document.getElementById(id) || console.error(`#${id} not found`);
+        this.ui = {
+            panel: get("controls"),
+            rows: get("bindingRows"),
+            message: get("bindingMessage"),
+            cancel: get("btnBindingCancel"),
+            reset: get("btnBindingsReset"),
+            close: get("btnControlsClose")
+        };
+        if (this.ui.rows) this.ui.rows.addEventListener("click", e => this.onRowClick(e));
+        if (this.ui.cancel) this.ui.cancel.addEventListener("click", () => this.cancel());
+        if (this.ui.reset) this.ui.reset.addEventListener("click", () => this.reset());
+        if (this.ui.close) this.ui.close.addEventListener("click", () => this.close());
+    }
+
+    /**
+     * Shows the panel, pausing a running game.
+     */
+    open() {
+        if (this.game.state === "PLAYING") this.game.togglePause();
+        if (this.ui.panel) this.ui.panel.hidden = false;
+        if (!this.layout && navigator.keyboard && navigator.keyboard.getLayoutMap) {
+            navigator.keyboard.getLayoutMap()
+                .then(layout => { this.layout = layout; this.render(); })
+                .catch(() => {});
+        }
+        this.render();
+    }
+
+    /**
+     * Hides the panel, dropping any rebinding in progress.
+     */
+    close() {
+        this.cancel();
+        if (this.ui.panel) this.ui.panel.hidden = true;
+    }
+
+    /**
+     * Rebuilds the table of actions and keys.
+     */
+    render() {
+        if (!this.ui.rows) return;
+        const button = (text, data, title = "") => {
+            const b = document.createElement("button");
+            b.textContent = text;
+            b.title = title;
+            Object.assign(b.dataset, data);
+            return b;
+        };
+        this.ui.rows.replaceChildren(...Object.entries(ACTIONS).map(([action, { label }]) => {
+            const row = document.createElement("tr");
+            const name = document.createElement("th");
+            name.textContent = label;
+            const keys = document.createElement("td");
+            this.bindings.codesFor(action).forEach((code, slot) => {
+                const waiting = this.pending && this.pending.action === action && this.pending.slot === slot;
+                const key = button(waiting ? "Press a key…" : keyLabel(code, this.layout), { action, slot: String(slot) }, code);
+                if (waiting) key.classList.add("selected");
+                keys.append(key, button("×", { action, remove: code }, `Unbind ${code}`));
+            });
+            const adding = this.pending && this.pending.action === action && this.pending.slot === undefined;
+            const add = button(adding ? "Press a key…" : "+ Add key", { action, add: "1" });
+            if (adding) add.classList.add("selected");
+            keys.append(add);
+            row.append(name, keys);
+            return row;
+        }));
+        if (this.ui.cancel) this.ui.cancel.hidden = !this.pending;
+    }
+
+    /**
+     * Handles clicks on the key buttons of the table.
+     * @param {MouseEvent} e
+     */
+    onRowClick(e) {
+        const { action, slot, remove, add } = e.target.dataset || {};
+        if (!action) return;
+        if (remove) this.remove(action, remove);
+        else if (add) this.capture(action, undefined);
+        else if (slot !== undefined) this.capture(action, Number(slot));
+    }
+
+    /**
+     * Waits for the next key press to bind it to an action.
+     * @param {string} action
+     * @param {number} [slot] - Index of the key to replace; a key is added when omitted.
+     */
+    capture(action, slot) {
+        this.pending = { action, slot };
+        this.conflict = null;
+        this.input.capture = this.onCapture.bind(this);
+        this.showMessage(`Press a key for “${ACTIONS[action].label}”.`);
+        this.render();
+    }
+
+    /**
+     * Binds a captured key, or explains the conflict if another action has it. A key can be moved
+     * from another action only if that action keeps a key of its own.
+     * @param {string} code - KeyboardEvent.code of the key pressed.
+     */
+    onCapture(code) {
+        const { action, slot } = this.pending;
+        const owner = this.bindings.bind(action, code, { slot, steal: this.conflict === code });
+        if (owner) {
+            const label = keyLabel(code, this.layout);
+            if (this.bindings.codesFor(owner).length <= 1) {
+                this.conflict = null;
+                this.showMessage(`${label} is the only key for “${ACTIONS[owner].label}”. `
+                    + "Give that action another key first, or press another key.");
+                return;
+            }
+            this.conflict = code;
+            this.showMessage(`${label} is already used for “${ACTIONS[owner].label}”. `
+                + "Press it again to move it here, or press another key.");
+            return;
+        }
+        this.finish();
+    }
+
+    /**
+     * Removes a key from an action; every action keeps at least one key.
+     * @param {string} action
+     * @param {string} code
+     */
+    remove(action, code) {
+        if (this.bindings.codesFor(action).length <= 1) {
+            this.showMessage(`“${ACTIONS[action].label}” needs at least one key.`);
+            return;
+        }
+        this.bindings.unbind(action, code);
+        this.finish();
+    }
+
+    /**
+     * Restores the default bindings.
+     */
+    reset() {
+        this.bindings.reset();
+        this.finish();
+    }
+
+    /**
+     * Stops waiting for a key press without changing anything.
+     */
+    cancel() {
+        this.finish();
+    }
+
+    /**
+     * Ends a rebinding: stops capturing keys, forgets held keys (their actions may have changed) and redraws.
+     */
+    finish() {
+        this.pending = null;
+        this.conflict = null;
+        this.input.capture = null;
+        this.input.releaseAll();
+        this.showMessage("");
+        this.render();
+    }
+
+    /**
+     * Shows a line of help or warning under the table.
+     * @param {string} text
+     */
+    showMessage(text) {
+        if (this.ui.message) this.ui.message.textContent = text;
+    }
+}
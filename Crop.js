@@ -2,48 +2,242 @@ import { Entity } from './BaseEntity.js';
 
 /**
  * Crop class represents collectible items.
+ * A crop is planted as a seedling and then grows, ripens, goes overripe and rots away:
+ * what it is worth depends on when it is harvested.
  * @extends Entity
  */
 export class Crop extends Entity {
     /**
-     * Creates a new Crop.
+     * Growth stages in order. Seedlings cannot be harvested yet; rotten crops vanish when their time is up.
+     */
+    static STAGES = Object.freeze(["seedling", "growing", "ripe", "overripe", "rotten"]);
+
+    /**
+     * Built-in vector renderers, by the name a crop type uses in its "renderer" field.
+     */
+    static RENDERERS = Object.freeze({ wheat: "drawWheat", pumpkin: "drawPumpkin", apple: "drawApple" });
+
+    /**
+     * Built-in crop types; config.crops can override their fields or add new types (see ConfigSchema).
+     * points: score for harvesting in each stage; durations: seconds spent in each stage;
+     * size: [width, height]; weight: relative spawn odds when a level has no crop mix;
+     * renderer: a RENDERERS name or { sprite, frame: [x, y, w, h] }; colors: main color while
+     * growing, ripe and overripe (vector renderers).
+     */
+    static BUILTIN_TYPES = Object.freeze({
+        wheat: {
+            points: { seedling: 0, growing: 0, ripe: 1, overripe: 1, rotten: 0 },
+            durations: { seedling: 1.5, growing: 2.5, ripe: 8, overripe: 4, rotten: 4 },
+            size: [20, 26],
+            weight: 3,
+            renderer: "wheat",
+            colors: { growing: "#a4c45a", ripe: "#d9a441", overripe: "#a8742a" }
+        },
+        pumpkin: {
+            points: { seedling: 0, growing: 1, ripe: 3, overripe: 2, rotten: -1 },
+            durations: { seedling: 2, growing: 4, ripe: 7, overripe: 4, rotten: 5 },
+            size: [20, 26],
+            weight: 2,
+            renderer: "pumpkin",
+            colors: { growing: "#9cbf4a", ripe: "#ff7f32", overripe: "#b8561c" }
+        },
+        golden_apple: {
+            points: { seedling: 0, growing: 2, ripe: 5, overripe: 3, rotten: 0 },
+            durations: { seedling: 2, growing: 3, ripe: 4, overripe: 2, rotten: 3 },
+            size: [20, 26],
+            weight: 1,
+            renderer: "apple",
+            colors: { growing: "#c8d86a", ripe: "#ffd700", overripe: "#c9a227" }
+        }
+    });
+
+    /**
+     * Loaded sprite sheets, by URL, shared by all crops.
+     */
+    static sprites = new Map();
+
+    /**
+     * Sprite sheet for a URL, loaded once (null outside the browser).
+     * @param {string} src
+     * @returns {HTMLImageElement|null}
+     */
+    static sprite(src) {
+        if (typeof Image === "undefined") return null;
+        if (!Crop.sprites.has(src)) {
+            const image = new Image();
+            image.src = src;
+            Crop.sprites.set(src, image);
+        }
+        return Crop.sprites.get(src);
+    }
+
+    /**
+     * Creates a new Crop, freshly planted as a seedling.
      * @param {number} x
      * @param {number} y
-     * @param {string} [type="wheat"] - Type of crop (wheat, pumpkin, golden_apple).
+     * @param {string} type - Crop type name.
+     * @param {Random} rng - The simulation's seeded generator.
+     * @param {Object} [definition] - The type's entry in the crop registry (config.crops).
+     * @param {number} [plantedAt=0] - Game clock time the crop is planted at.
      */
-    constructor(x, y, type = "wheat") {
-        super(x, y, 20, 26);
+    constructor(x, y, type, rng, definition = Crop.BUILTIN_TYPES[type], plantedAt = 0) {
+        super(x, y, definition.size[0], definition.size[1]);
         this.type = type;
-        // Q2.a: Added point values for different crop types.
-        this.points = { wheat: 1, pumpkin: 3, golden_apple: 5 }[type] || 1;
-        this.sway = Math.random() * Math.PI * 2;
+        this.definition = definition;
+        this.plantedAt = plantedAt;
+        this.age = 0;
+        this.phase = rng.next() * Math.PI * 2;
+        this.sway = this.phase;
     }
 
     /**
-     * Updates the crop's animation .
+     * Growth stage at a given age.
+     * @param {number} age - Seconds since planting.
+     * @returns {string} One of Crop.STAGES.
+     */
+    stageAt(age) {
+        let t = age;
+        for (const stage of Crop.STAGES) {
+            t -= this.definition.durations[stage];
+            if (t < 0) return stage;
+        }
+        return "rotten";
+    }
+
+    /**
+     * Current growth stage, from the crop's age.
+     * @returns {string} One of Crop.STAGES.
+     */
+    get stage() {
+        return this.stageAt(this.age);
+    }
+
+    /**
+     * Points for harvesting the crop now.
+     * @returns {number}
+     */
+    get points() {
+        return this.definition.points[this.stage];
+    }
+
+    /**
+     * Whether the farmer picks the crop up on contact (seedlings are walked over).
+     * @returns {boolean}
+     */
+    get harvestable() {
+        return !this.dead && this.stage !== "seedling";
+    }
+
+    /**
+     * Ages the crop and updates its animation from the game clock; a rotten crop is gone once its time is up.
      * @param {number} dt - Delta time in seconds.
-     * @param {Game} game - The game instance (unused).
+     * @param {Simulation} game - The simulation, for its clock.
      */
-    update(dt, game) { this.sway += dt * 2; }
+    update(dt, game) {
+        this.age = game.clock.since(this.plantedAt);
+        this.sway = this.phase + this.age * 2;
+        const lifetime = Crop.STAGES.reduce((sum, stage) => sum + this.definition.durations[stage], 0);
+        if (this.age >= lifetime) this.dead = true;
+    }
 
     /**
-     * Draws the crop based on its type.
+     * Draws the crop based on its type and growth stage.
      * @param {CanvasRenderingContext2D} ctx - The 2D rendering context.
      */
     draw(ctx) {
-    const { x, y, w, h } = this;
-    
-    // Pumpkin: Change to spherical with shading and rotating vine
-    if (this.type === "pumpkin") {
-        ctx.fillStyle = "#ff7f32"; // Lighter orange for a more realistic pumpkin look
+        const stage = this.stage;
+        if (stage === "seedling") return this.drawSeedling(ctx);
+        if (stage === "rotten") return this.drawRotten(ctx);
+        const { renderer, colors = {} } = this.definition;
+        const color = colors[stage] || "#d9a441";
+        ctx.save();
+        if (stage === "growing") {
+            // Smaller, still green.
+            ctx.translate(this.x + this.w / 2, this.y + this.h);
+            ctx.scale(0.7, 0.7);
+            ctx.translate(-(this.x + this.w / 2), -(this.y + this.h));
+        } else if (stage === "overripe") {
+            // Drooping to one side.
+            ctx.translate(this.x + this.w / 2, this.y + this.h);
+            ctx.rotate(0.35);
+            ctx.translate(-(this.x + this.w / 2), -(this.y + this.h));
+        }
+        if (typeof renderer === "object") this.drawSprite(ctx, renderer, color);
+        else this[Crop.RENDERERS[renderer]](ctx, color, stage);
+        ctx.restore();
+    }
+
+    /**
+     * Draws the crop as a frame of a sprite sheet (a plain blob until the sheet has loaded).
+     * @param {CanvasRenderingContext2D} ctx - The 2D rendering context.
+     * @param {{sprite: string, frame: number[]}} renderer - Sheet URL and [x, y, w, h] source frame.
+     * @param {string} color - Fallback color.
+     */
+    drawSprite(ctx, renderer, color) {
+        const { x, y, w, h } = this;
+        const image = Crop.sprite(renderer.sprite);
+        if (image && image.complete && image.naturalWidth) {
+            const [sx, sy, sw, sh] = renderer.frame;
+            ctx.drawImage(image, sx, sy, sw, sh, x, y, w, h);
+        } else {
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            ctx.ellipse(x + w / 2, y + h / 2, w / 2, h / 2, 0, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+
+    /**
+     * Draws a freshly planted sprout (the same for every type).
+     * @param {CanvasRenderingContext2D} ctx - The 2D rendering context.
+     */
+    drawSeedling(ctx) {
+        const { x, y, w, h } = this;
+        ctx.fillStyle = "#8a6a45";
+        ctx.beginPath();
+        ctx.ellipse(x + w / 2, y + h - 2, 7, 3, 0, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = "#5aa845";
         ctx.beginPath();
-        ctx.arc(x + w / 2, y + h / 2, 12, 0, Math.PI * 2);
+        ctx.ellipse(x + w / 2 - 4, y + h - 8 + Math.sin(this.sway), 4, 2, -0.5, 0, Math.PI * 2);
+        ctx.ellipse(x + w / 2 + 4, y + h - 8 - Math.sin(this.sway), 4, 2, 0.5, 0, Math.PI * 2);
         ctx.fill();
-        
+    }
+
+    /**
+     * Draws a rotten crop: a shriveled brown heap with a dark spot.
+     * @param {CanvasRenderingContext2D} ctx - The 2D rendering context.
+     */
+    drawRotten(ctx) {
+        const { x, y, w, h } = this;
+        ctx.fillStyle = "#5b4a32";
+        ctx.beginPath();
+        ctx.ellipse(x + w / 2, y + h - 6, 10, 6, 0, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = "#2e2418";
+        ctx.beginPath();
+        ctx.arc(x + w / 2 + 3, y + h - 8, 2.5, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    /**
+     * Pumpkin: spherical with shading and a rotating vine.
+     * @param {CanvasRenderingContext2D} ctx - The 2D rendering context.
+     * @param {string} color - Main color for the current stage.
+     * @param {string} stage - Growth stage.
+     */
+    drawPumpkin(ctx, color, stage) {
+        const { x, y, w, h } = this;
+        const r = w * 0.6;
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.arc(x + w / 2, y + h / 2, r, 0, Math.PI * 2);
+        ctx.fill();
+
         // Adding shading for depth
-        ctx.fillStyle = "#cc5e00";
+        ctx.fillStyle = "rgba(0, 0, 0, 0.2)";
         ctx.beginPath();
-        ctx.arc(x + w / 2 + 2, y + h / 2 + 2, 10, 0, Math.PI * 2);
+        ctx.arc(x + w / 2 + 2, y + h / 2 + 2, r - 2, 0, Math.PI * 2);
         ctx.fill();
 
         // Rotating vine animation
@@ -53,22 +247,33 @@ export class Crop extends Entity {
         ctx.moveTo(x + w / 2, y - 6); // Vine base
         ctx.quadraticCurveTo(x + w / 2 + Math.sin(this.sway) * 10, y - 15 + Math.cos(this.sway) * 6, x + w / 2, y - 30); // Curvy vine
         ctx.stroke();
-        
-    } else if (this.type === "golden_apple") {
-        ctx.fillStyle = "#ffd700"; // Golden apple color
+    }
+
+    /**
+     * Apple with a shine highlight; it only glows when ripe.
+     * @param {CanvasRenderingContext2D} ctx - The 2D rendering context.
+     * @param {string} color - Main color for the current stage.
+     * @param {string} stage - Growth stage.
+     */
+    drawApple(ctx, color, stage) {
+        const { x, y, w, h } = this;
+        const r = w * 0.6;
+        ctx.fillStyle = color;
         ctx.beginPath();
-        ctx.arc(x + w / 2, y + h / 2, 12, 0, Math.PI * 2); // Slightly bigger apple
+        ctx.arc(x + w / 2, y + h / 2, r, 0, Math.PI * 2); // Slightly bigger apple
         ctx.fill();
-        
-        // Adding shine effect for the golden apple
+
+        // Adding shine effect for the apple
         ctx.fillStyle = "#fff"; // White highlight
         ctx.beginPath();
-        ctx.arc(x + w / 2 - 4, y + h / 2 - 5, 4, 0, Math.PI * 2);
+        ctx.arc(x + w / 2 - r / 3, y + h / 2 - r * 0.4, r / 3, 0, Math.PI * 2);
         ctx.fill();
-        
+
         // Glowing effect around the apple
-        ctx.shadowColor = "#ffd700";
-        ctx.shadowBlur = 15;
+        if (stage === "ripe") {
+            ctx.shadowColor = color;
+            ctx.shadowBlur = 15;
+        }
         ctx.lineWidth = 2;
         ctx.strokeStyle = "#ff8c00";
         ctx.beginPath();
@@ -76,18 +281,25 @@ export class Crop extends Entity {
         ctx.lineTo(x + w / 2, y - 10);
         ctx.stroke();
         ctx.shadowBlur = 0; // Reset shadow
-        
-    } else { // wheat (default)
+    }
+
+    /**
+     * Wheat: a swaying stalk with an ear on top.
+     * @param {CanvasRenderingContext2D} ctx - The 2D rendering context.
+     * @param {string} color - Color of the ear for the current stage.
+     * @param {string} stage - Growth stage.
+     */
+    drawWheat(ctx, color, stage) {
+        const { x, y, w, h } = this;
         ctx.strokeStyle = "#2f7d32";
         ctx.lineWidth = 3;
         ctx.beginPath();
         ctx.moveTo(x + w / 2, y + h);
         ctx.quadraticCurveTo(x + w / 2 + Math.sin(this.sway) * 3, y + h / 2, x + w / 2, y);
         ctx.stroke();
-        ctx.fillStyle = "#d9a441";
+        ctx.fillStyle = color;
         ctx.beginPath();
         ctx.ellipse(x + w / 2, y, 8, 6, 0, 0, Math.PI * 2);
         ctx.fill();
     }
 }
-}
\ No newline at end of file
@@ -0,0 +1,448 @@
+import { TileMap } from './TileMap.js';
+import { Crop } from './Crop.js';
+import { validateConfig, CONFIG_FIELDS, CROP_FIELDS, LEVEL_FIELDS } from './ConfigSchema.js';
+import { WIDTH, HEIGHT, TILE } from './Utils.js';
+
+/**
+ * Fields of an object that differ from a base. Objects in both are compared key by key, the way
+ * config entries are merged over the built-in crop types.
+ * @param {Object} value
+ * @param {Object} base
+ * @returns {Object}
+ */
+function changedFields(value, base) {
+    const isObject = v => v !== null && typeof v === "object" && !Array.isArray(v);
+    const changed = {};
+    Object.entries(value).forEach(([key, v]) => {
+        if (JSON.stringify(v) === JSON.stringify(base[key])) return;
+        changed[key] = isObject(v) && isObject(base[key]) ? changedFields(v, base[key]) : v;
+    });
+    return changed;
+}
+
+/**
+ * Editor class is the in-browser level editor: paint tile maps onto the field, tune the
+ * per-level numbers, play-test, and export/import levels JSON in the config.json format.
+ */
+export class Editor {
+    /**
+     * Creates the editor (closed) and wires its controls.
+     * @param {Game} game - The game, used for play-testing and the error panel.
+     */
+    constructor(game) {
+        this.game = game;
+        this.canvas = game.canvas;
+        this.active = false;
+        this.playtesting = false;
+        // Config the game was on before the editor opened, restored on close.
+        this.baseConfig = null;
+        this.tickRate = 60;
+        this.crops = null;
+        this.levels = [];
+        this.index = 0;
+        this.brush = TileMap.LEGEND.SCARECROW;
+        this.painting = false;
+        this.hover = null;
+
+        const get = id => document.getElementById(id) || console.error(`#${id} not found`);
+        this.ui = {
+            panel: get("editor"),
+            level: get("edLevel"),
+            addLevel: get("edAddLevel"),
+            removeLevel: get("edRemoveLevel"),
+            brushes: get("edBrushes"),
+            name: get("edName"),
+            intro: get("edIntro"),
+            play: get("edPlay"),
+            export: get("edExport"),
+            import: get("edImport"),
+            close: get("edClose"),
+        };
+        this.numberInputs = [...document.querySelectorAll("#editor [data-field]")];
+
+        this._onPointerDown = this.onPointerDown.bind(this);
+        this._onPointerMove = this.onPointerMove.bind(this);
+        this._onPointerUp = this.onPointerUp.bind(this);
+        this.canvas.addEventListener("pointerdown", this._onPointerDown);
+        this.canvas.addEventListener("pointermove", this._onPointerMove);
+        window.addEventListener("pointerup", this._onPointerUp);
+
+        if (this.ui.level) this.ui.level.addEventListener("change", e => this.selectLevel(Number(e.target.value)));
+        if (this.ui.addLevel) this.ui.addLevel.addEventListener("click", () => this.addLevel());
+        if (this.ui.removeLevel) this.ui.removeLevel.addEventListener("click", () => this.removeLevel());
+        if (this.ui.brushes) {
+            this.ui.brushes.addEventListener("click", e => {
+                const tile = e.target.dataset && e.target.dataset.tile;
+                if (tile) this.setBrush(tile);
+            });
+        }
+        if (this.ui.name) this.ui.name.addEventListener("input", e => this.setText("name", e.target.value));
+        if (this.ui.intro) this.ui.intro.addEventListener("input", e => this.setText("intro", e.target.value));
+        this.numberInputs.forEach(input => input.addEventListener("change", e => this.setNumber(input.dataset.field, e.target.value)));
+        if (this.ui.play) this.ui.play.addEventListener("click", () => this.togglePlaytest());
+        if (this.ui.export) this.ui.export.addEventListener("click", () => this.exportLevels());
+        if (this.ui.import) this.ui.import.addEventListener("change", e => this.importFile(e.target.files[0]));
+        if (this.ui.close) this.ui.close.addEventListener("click", () => this.close());
+    }
+
+    /**
+     * Current level being edited.
+     * @returns {Object}
+     */
+    get current() {
+        return this.levels[this.index];
+    }
+
+    /**
+     * Opens the editor on a copy of a config's levels.
+     * @param {Object|null} config - Validated config, or null to start from one blank level.
+     */
+    open(config) {
+        this.baseConfig = config;
+        this.load(config || { tickRate: 60, levels: [this.blankLevel()] });
+        this.active = true;
+        this.playtesting = false;
+        if (this.ui.panel) this.ui.panel.hidden = false;
+        this.syncUI();
+    }
+
+    /**
+     * Closes the editor and puts the game back on the config it had before.
+     */
+    close() {
+        this.active = false;
+        this.playtesting = false;
+        if (this.ui.panel) this.ui.panel.hidden = true;
+        if (this.baseConfig) {
+            this.game.resetWithConfig(this.baseConfig);
+        } else {
+            this.game.sim = null;
+        }
+    }
+
+    /**
+     * Replaces the edited levels with those of a config. Every level gets a full map to paint on.
+     * @param {Object} config - Validated config.
+     */
+    load(config) {
+        this.tickRate = config.tickRate;
+        this.crops = config.crops;
+        this.levels = config.levels.map(level => ({
+            ...level,
+            map: (level.map || this.scarecrowMap(level.scarecrows || [])).slice(),
+            // Remember whether the level had a map, so untouched levels without one export unchanged.
+            hadMap: !!level.map
+        }));
+        this.index = 0;
+    }
+
+    /**
+     * Default level with every field at its schema default.
+     * @returns {Object}
+     */
+    blankLevel() {
+        const level = {};
+        Object.entries(LEVEL_FIELDS).forEach(([name, rule]) => {
+            if (!rule.optional) level[name] = Array.isArray(rule.default) ? rule.default.slice() : rule.default;
+        });
+        return level;
+    }
+
+    /**
+     * Map rows of open ground.
+     * @returns {string[]}
+     */
+    blankMap() {
+        return Array.from({ length: TileMap.ROWS }, () => TileMap.LEGEND.OPEN.repeat(TileMap.COLS));
+    }
+
+    /**
+     * Map rows with scarecrows on the given tiles, so hand-placed scarecrows can be edited as a map.
+     * @param {number[][]} tiles - [column, row] tiles.
+     * @returns {string[]}
+     */
+    scarecrowMap(tiles) {
+        const map = this.blankMap();
+        tiles.forEach(([col, row]) => {
+            map[row] = map[row].slice(0, col) + TileMap.LEGEND.SCARECROW + map[row].slice(col + 1);
+        });
+        return map;
+    }
+
+    /**
+     * Switches to another level.
+     * @param {number} index - Level index.
+     */
+    selectLevel(index) {
+        this.index = Math.max(0, Math.min(this.levels.length - 1, index));
+        this.syncUI();
+    }
+
+    /**
+     * Appends a blank level after the existing ones and selects it.
+     */
+    addLevel() {
+        this.levels.push({ ...this.blankLevel(), map: this.blankMap(), hadMap: true });
+        this.selectLevel(this.levels.length - 1);
+    }
+
+    /**
+     * Removes the current level (a config needs at least one).
+     */
+    removeLevel() {
+        if (this.levels.length <= 1) return;
+        this.levels.splice(this.index, 1);
+        this.selectLevel(this.index);
+    }
+
+    /**
+     * Selects the tile painted by clicks.
+     * @param {string} tile - Legend character.
+     */
+    setBrush(tile) {
+        this.brush = tile;
+        this.syncUI();
+    }
+
+    /**
+     * Sets the current level's name or intro text; empty text removes the field.
+     * @param {string} field - "name" or "intro".
+     * @param {string} value
+     */
+    setText(field, value) {
+        if (value) this.current[field] = value;
+        else delete this.current[field];
+    }
+
+    /**
+     * Sets one of the current level's numbers from an input's text.
+     * @param {string} field - Level field named by the input's data-field attribute.
+     * @param {string} value - Input value; validated on play-test and export.
+     */
+    setNumber(field, value) {
+        this.current[field] = Number(value);
+    }
+
+    /**
+     * Paints a tile of the current level's map. There is only one farmer start,
+     * so painting a new one clears the old.
+     * @param {number} col
+     * @param {number} row
+     */
+    paint(col, row) {
+        const level = this.current;
+        const { START, OPEN } = TileMap.LEGEND;
+        if (this.brush === START) {
+            level.map = level.map.map(line => line.replaceAll(START, OPEN));
+        }
+        const line = level.map[row];
+        level.map[row] = line.slice(0, col) + this.brush + line.slice(col + 1);
+        level.hadMap = true;
+    }
+
+    /**
+     * Converts a pointer event to a [column, row] tile, or null outside the field.
+     * @param {PointerEvent} e
+     * @returns {number[]|null}
+     */
+    tileFromEvent(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = (e.clientX - rect.left) * (WIDTH / rect.width);
+        const y = (e.clientY - rect.top) * (HEIGHT / rect.height);
+        const col = Math.floor(x / TILE), row = Math.floor(y / TILE);
+        if (col < 0 || row < 0 || col >= TileMap.COLS || row >= TileMap.ROWS) return null;
+        return [col, row];
+    }
+
+    /**
+     * Starts painting on the field.
+     * @param {PointerEvent} e
+     */
+    onPointerDown(e) {
+        if (!this.active || this.playtesting) return;
+        const tile = this.tileFromEvent(e);
+        if (!tile) return;
+        this.painting = true;
+        this.paint(...tile);
+    }
+
+    /**
+     * Paints while dragging, and tracks the hovered tile.
+     * @param {PointerEvent} e
+     */
+    onPointerMove(e) {
+        if (!this.active || this.playtesting) return;
+        this.hover = this.tileFromEvent(e);
+        if (this.painting && this.hover) this.paint(...this.hover);
+    }
+
+    /**
+     * Stops painting.
+     */
+    onPointerUp() {
+        this.painting = false;
+    }
+
+    /**
+     * Builds a config from the edited levels, in the config.json format.
+     * Maps are left out of levels that never had one and were not painted; a painted map
+     * replaces the level's hand-placed scarecrows list. Fields at their schema default, and crop
+     * type fields as built in, are left out, so exports stay as short as what was authored.
+     * @returns {Object}
+     */
+    toConfig() {
+        const defaults = this.blankLevel();
+        const levels = this.levels.map(({ hadMap, map, ...level }) => {
+            const blank = map.every(line => line === TileMap.LEGEND.OPEN.repeat(TileMap.COLS));
+            const fields = changedFields(level, defaults);
+            if (!hadMap || blank) return fields;
+            const { scarecrows, ...rest } = fields;
+            return { ...rest, map };
+        });
+        const config = {};
+        if (this.tickRate !== CONFIG_FIELDS.tickRate.default) config.tickRate = this.tickRate;
+        const cropDefaults = Object.fromEntries(Object.entries(CROP_FIELDS)
+            .filter(([, rule]) => "default" in rule)
+            .map(([name, rule]) => [name, rule.default]));
+        const crops = Object.fromEntries(Object.entries(this.crops || {})
+            .map(([name, type]) => [name, changedFields(type, Crop.BUILTIN_TYPES[name] || cropDefaults)])
+            .filter(([, fields]) => Object.keys(fields).length));
+        if (Object.keys(crops).length) config.crops = crops;
+        config.levels = levels;
+        return config;
+    }
+
+    /**
+     * Validates the edited levels, showing problems in the game's error panel.
+     * @param {Object} raw - Config from toConfig.
+     * @returns {Object|null} The validated config, or null if it has problems.
+     */
+    validate(raw) {
+        const { config, errors } = validateConfig(raw);
+        if (errors.length) {
+            this.game.showErrors("Level has problems", errors);
+            return null;
+        }
+        this.game.showErrors(null);
+        return config;
+    }
+
+    /**
+     * Play-tests the current level on its own, or goes back to editing.
+     */
+    togglePlaytest() {
+        if (this.playtesting) {
+            this.playtesting = false;
+            this.syncUI();
+            return;
+        }
+        const all = this.toConfig();
+        const config = this.validate({ ...all, levels: [all.levels[this.index]] });
+        if (!config) return;
+        this.playtesting = true;
+        this.game.startWithConfig(config);
+        this.syncUI();
+    }
+
+    /**
+     * Downloads the edited levels as a levels JSON file.
+     */
+    exportLevels() {
+        const config = this.validate(this.toConfig());
+        if (!config) return;
+        const url = URL.createObjectURL(new Blob([JSON.stringify(this.toConfig(), null, 2)], { type: "application/json" }));
+        const a = document.createElement("a");
+        a.href = url;
+        a.download = "levels.json";
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Loads levels from a levels JSON file chosen by the user.
+     * @param {File} file
+     */
+    importFile(file) {
+        if (!file) return;
+        file.text()
+            .then(text => {
+                const config = this.validate(JSON.parse(text));
+                if (!config) return;
+                this.load(config);
+                this.syncUI();
+            })
+            .catch(error => this.game.showErrors("Could not import levels", [error.message]))
+            .finally(() => { if (this.ui.import) this.ui.import.value = ""; });
+    }
+
+    /**
+     * Synchronizes the editor controls with the current level.
+     */
+    syncUI() {
+        const level = this.current;
+        if (this.ui.level) {
+            this.ui.level.replaceChildren(...this.levels.map((l, i) => new Option(`${i + 1}${l.name ? ` — ${l.name}` : ""}`, String(i))));
+            this.ui.level.value = String(this.index);
+        }
+        if (this.ui.name) this.ui.name.value = level.name || "";
+        if (this.ui.intro) this.ui.intro.value = level.intro || "";
+        this.numberInputs.forEach(input => { input.value = String(level[input.dataset.field]); });
+        if (this.ui.brushes) {
+            this.ui.brushes.querySelectorAll("[data-tile]").forEach(b => b.classList.toggle("selected", b.dataset.tile === this.brush));
+        }
+        if (this.ui.play) this.ui.play.textContent = this.playtesting ? "Back to editing" : "Play-test";
+    }
+
+    /**
+     * Draws the current level's map, with markers for tiles that have no in-game look.
+     * @param {CanvasRenderingContext2D} ctx - The 2D rendering context.
+     */
+    render(ctx) {
+        const level = this.current;
+        const map = new TileMap(level.map);
+        const palette = { background: "#dff0d5", grid: "#c7e0bd", ...level.palette };
+
+        ctx.fillStyle = palette.background;
+        ctx.fillRect(0, 0, WIDTH, HEIGHT);
+        ctx.strokeStyle = palette.grid;
+        ctx.lineWidth = 1;
+        for (let y = TILE; y < HEIGHT; y += TILE) {
+            ctx.beginPath(); ctx.moveTo(0, y); ctx.lineTo(WIDTH, y); ctx.stroke();
+        }
+        for (let x = TILE; x < WIDTH; x += TILE) {
+            ctx.beginPath(); ctx.moveTo(x, 0); ctx.lineTo(x, HEIGHT); ctx.stroke();
+        }
+
+        ctx.fillStyle = "#b99a6b";
+        map.cropBeds.forEach(([c, r]) => ctx.fillRect(c * TILE + 1, r * TILE + 1, TILE - 2, TILE - 2));
+        ctx.fillStyle = "rgba(200, 60, 60, 0.25)";
+        map.cells(TileMap.LEGEND.NO_SPAWN).forEach(([c, r]) => ctx.fillRect(c * TILE, r * TILE, TILE, TILE));
+        map.createObstacles().forEach(o => o.draw(ctx));
+        if (map.start) {
+            const [c, r] = map.start;
+            ctx.fillStyle = "#8b5a2b";
+            ctx.fillRect(c * TILE + 3, r * TILE + 3, TILE - 6, TILE - 6);
+            ctx.fillStyle = "#fff";
+            ctx.font = "bold 14px system-ui, sans-serif";
+            ctx.fillText("F", c * TILE + 10, r * TILE + 20);
+        }
+        if (this.hover) {
+            ctx.strokeStyle = "#333";
+            ctx.lineWidth = 2;
+            ctx.strokeRect(this.hover[0] * TILE, this.hover[1] * TILE, TILE, TILE);
+        }
+
+        ctx.fillStyle = "#333";
+        ctx.font = "16px system-ui, sans-serif";
+        ctx.fillText(`Editing level ${this.index + 1} of ${this.levels.length}`, 20, 28);
+    }
+
+    /**
+     * Cleans up event listeners.
+     */
+    dispose() {
+        this.canvas.removeEventListener("pointerdown", this._onPointerDown);
+        this.canvas.removeEventListener("pointermove", this._onPointerMove);
+        window.removeEventListener("pointerup", this._onPointerUp);
+    }
+}
@@ -0,0 +1,274 @@
+import { WIDTH, HEIGHT, clamp } from './Utils.js';
+
+/**
+ * Center point of an entity's box.
+ * @param {Entity} e
+ * @returns {{x: number, y: number}}
+ */
+const center = e => ({ x: e.x + e.w / 2, y: e.y + e.h / 2 });
+
+/**
+ * Timed effects the farmer can be under, by kind; each power-up applies the effect of its own kind.
+ * Each definition has:
+ *  - label: name shown in the HUD;
+ *  - duration: seconds the effect lasts (0 for instant effects, which start and end at once);
+ *  - stacking: "refresh" (picking it up again restarts the timer) or "stack" (adds a stack, up to
+ *    maxStacks, and restarts the timer);
+ *  - optional hooks start(farmer, game, effect), tick(farmer, game, dt, effect), end(farmer, game, effect),
+ *    draw(ctx, farmer, effect) and describe(effect) (HUD label in place of label).
+ */
+export const EFFECTS = Object.freeze({
+    speed: {
+        label: "Speed",
+        duration: 5,
+        stacking: "refresh",
+        start(farmer) { farmer.speed = farmer.baseSpeed * 1.5; }, // 50% boost
+        end(farmer) { farmer.speed = farmer.baseSpeed; },
+        draw(ctx, farmer) {
+            // Q2.c: Visual indicator for active speed boost (glowing outline).
+            ctx.strokeStyle = "#ffff00";
+            ctx.lineWidth = 3;
+            ctx.strokeRect(farmer.x, farmer.y, farmer.w, farmer.h);
+        }
+    },
+    magnet: {
+        label: "Crop magnet",
+        duration: 6,
+        stacking: "refresh",
+        radius: 160,
+        pull: 220, // pixels per second
+        tick(farmer, game, dt) {
+            const f = center(farmer);
+            game.spatial.crops.queryRadius(f.x, f.y, this.radius).filter(c => c.harvestable).forEach(c => {
+                const { x, y } = center(c);
+                const dist = Math.hypot(f.x - x, f.y - y);
+                if (dist === 0) return;
+                const step = Math.min(dist, this.pull * dt);
+                c.x += (f.x - x) / dist * step;
+                c.y += (f.y - y) / dist * step;
+                game.spatial.crops.update(c);
+            });
+        },
+        draw(ctx, farmer) {
+            const { x, y } = center(farmer);
+            ctx.save();
+            ctx.strokeStyle = "rgba(214, 48, 49, 0.5)";
+            ctx.setLineDash([6, 6]);
+            ctx.beginPath();
+            ctx.arc(x, y, this.radius, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.restore();
+        }
+    },
+    repellent: {
+        label: "Crow repellent",
+        duration: 6,
+        stacking: "refresh",
+        radius: 100,
+        tick(farmer, game) {
+            // Crows inside the aura are pushed back to its edge and turned away.
+            const f = center(farmer);
+            game.spatial.crows.queryRadius(f.x, f.y, this.radius).forEach(crow => {
+                const { x, y } = center(crow);
+                const dist = Math.hypot(x - f.x, y - f.y);
+                if (dist >= this.radius) return;
+                const angle = dist === 0 ? crow.angle : Math.atan2(y - f.y, x - f.x);
+                // Near a wall the aura's edge lies outside the field; crows stop at the wall instead.
+                crow.x = clamp(f.x + Math.cos(angle) * this.radius - crow.w / 2, 0, WIDTH - crow.w);
+                crow.y = clamp(f.y + Math.sin(angle) * this.radius - crow.h / 2, 0, HEIGHT - crow.h);
+                crow.angle = angle;
+                game.spatial.crows.update(crow);
+            });
+        },
+        draw(ctx, farmer) {
+            const { x, y } = center(farmer);
+            ctx.fillStyle = "rgba(52, 152, 219, 0.15)";
+            ctx.beginPath();
+            ctx.arc(x, y, this.radius, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    },
+    time: {
+        label: "Extra time",
+        duration: 0,
+        stacking: "refresh",
+        seconds: 10,
+        start(farmer, game) { game.levelEndsAt += this.seconds; }
+    },
+    double_points: {
+        label: "Double points",
+        duration: 8,
+        stacking: "stack",
+        maxStacks: 3, // each stack adds one more times the crop's points
+        describe(effect) { return `Points ×${effect.stacks + 1}`; },
+        draw(ctx, farmer, effect) {
+            ctx.fillStyle = "#8e44ad";
+            ctx.font = "bold 14px system-ui, sans-serif";
+            ctx.textAlign = "center";
+            ctx.fillText(`×${effect.stacks + 1}`, farmer.x + farmer.w / 2, farmer.y - 8);
+            ctx.textAlign = "left";
+        }
+    },
+    scythe: {
+        label: "Scythe",
+        duration: 0,
+        stacking: "refresh",
+        radius: 120,
+        start(farmer, game) {
+            const f = center(farmer);
+            game.harvest(game.spatial.crops.queryRadius(f.x, f.y, this.radius).filter(c => c.harvestable), farmer);
+        }
+    }
+});
+
+/**
+ * One active effect on an entity.
+ */
+export class Effect {
+    /**
+     * Creates an effect at full duration with one stack.
+     * @param {string} kind - Key of EFFECTS.
+     * @param {number} now - Game clock time it starts at.
+     */
+    constructor(kind, now) {
+        this.kind = kind;
+        this.definition = EFFECTS[kind];
+        this.stacks = 1;
+        this.restart(now);
+    }
+
+    /**
+     * Sets the effect to run its full duration from now.
+     * @param {number} now - Game clock time.
+     */
+    restart(now) {
+        this.endsAt = now + this.definition.duration;
+        // Seconds left, as of the last update.
+        this.remaining = this.definition.duration;
+    }
+
+    /**
+     * HUD label, with the stack count when there is more than one.
+     * @returns {string}
+     */
+    get label() {
+        const def = this.definition;
+        if (def.describe) return def.describe(this);
+        return this.stacks > 1 ? `${def.label} ×${this.stacks}` : def.label;
+    }
+}
+
+/**
+ * The effects an entity (the farmer) is under, ticked once per simulation step.
+ */
+export class EffectList {
+    /**
+     * Creates an empty list.
+     * @param {Entity} owner - Entity the effects act on.
+     */
+    constructor(owner) {
+        this.owner = owner;
+        this.active = new Map();
+    }
+
+    /**
+     * Applies an effect: starts it, or refreshes/stacks it if it is already active.
+     * Instant effects run their start and end hooks right away.
+     * @param {string} kind - Key of EFFECTS.
+     * @param {Simulation} game - The simulation the effect acts on.
+     */
+    add(kind, game) {
+        const current = this.active.get(kind);
+        if (current) {
+            const { stacking, maxStacks = Infinity } = current.definition;
+            if (stacking === "stack") current.stacks = Math.min(maxStacks, current.stacks + 1);
+            current.restart(game.clock.time);
+            return;
+        }
+        const effect = new Effect(kind, game.clock.time);
+        const def = effect.definition;
+        if (def.start) def.start(this.owner, game, effect);
+        if (effect.remaining > 0) this.active.set(kind, effect);
+        else if (def.end) def.end(this.owner, game, effect);
+    }
+
+    /**
+     * Runs tick hooks and ends effects whose time is up on the game clock.
+     * @param {number} dt - Step length in seconds.
+     * @param {Simulation} game
+     */
+    update(dt, game) {
+        this.active.forEach((effect, kind) => {
+            const def = effect.definition;
+            if (def.tick) def.tick(this.owner, game, dt, effect);
+            effect.remaining = game.clock.until(effect.endsAt);
+            if (effect.remaining <= 0) {
+                this.active.delete(kind);
+                if (def.end) def.end(this.owner, game, effect);
+            }
+        });
+    }
+
+    /**
+     * Ends every active effect (between levels).
+     * @param {Simulation} game
+     */
+    clear(game) {
+        this.active.forEach(effect => {
+            if (effect.definition.end) effect.definition.end(this.owner, game, effect);
+        });
+        this.active.clear();
+    }
+
+    /**
+     * Whether an effect is active.
+     * @param {string} kind
+     * @returns {boolean}
+     */
+    has(kind) {
+        return this.active.has(kind);
+    }
+
+    /**
+     * An active effect, if any.
+     * @param {string} kind
+     * @returns {Effect|undefined}
+     */
+    get(kind) {
+        return this.active.get(kind);
+    }
+
+    /**
+     * Active effects in the order they started.
+     * @returns {Effect[]}
+     */
+    list() {
+        return [...this.active.values()];
+    }
+
+    /**
+     * Replaces the active effects with copies received from elsewhere (an online server), without
+     * running their hooks.
+     * @param {Array[]} entries - [kind, seconds remaining, stacks] per effect.
+     * @param {number} now - Game clock time.
+     */
+    restore(entries, now) {
+        this.active = new Map(entries.map(([kind, remaining, stacks]) => {
+            const effect = new Effect(kind, now);
+            effect.endsAt = now + remaining;
+            effect.remaining = remaining;
+            effect.stacks = stacks;
+            return [kind, effect];
+        }));
+    }
+
+    /**
+     * Draws the visuals of active effects around the owner.
+     * @param {CanvasRenderingContext2D} ctx - The 2D rendering context.
+     */
+    draw(ctx) {
+        this.active.forEach(effect => {
+            if (effect.definition.draw) effect.definition.draw(ctx, this.owner, effect);
+        });
+    }
+}
@@ -1,5 +1,7 @@
 import { Entity } from './BaseEntity.js';
-import { WIDTH, HEIGHT, clamp, aabb } from './Utils.js'; // G3/G2: Import shared utils to fix ReferenceErrors.
+import { EffectList } from './Effect.js';
+import { movementOf } from './input.js';
+import { WIDTH, HEIGHT, clamp, aabb, overlaps } from './Utils.js'; // G3/G2: Import shared utils to fix ReferenceErrors.
 
 
 /**
@@ -7,44 +9,58 @@ import { WIDTH, HEIGHT, clamp, aabb } from './Utils.js'; // G3/G2: Import shared
  * @extends Entity
  */
 export class Farmer extends Entity {
+    static SKIN = 0.01; // pixels of overlap left by rounding that still count as touching, not stuck
+    static TINT_ALPHA = 0.45; // strength of a player tint over the sprite
     /**
      * Creates a new Farmer.
      * @param {number} x - Initial x position.
      * @param {number} y - Initial y position.
+     * @param {Object} [options]
+     * @param {string|null} [options.tint] - Color washed over the sprite, to tell players apart.
+     * @param {string|null} [options.label] - Name tag drawn above the farmer ("P1"), in two-player modes.
      */
-    constructor(x, y) {
+    constructor(x, y, { tint = null, label = null } = {}) {
         super(x, y, 34, 34);
         this.speed = 260;
         this.vx = 0;
         this.vy = 0;
-        this.color = "#8b5a2b";
+        this.color = tint || "#8b5a2b";
+        this.tint = tint;
+        this.label = label;
+        // Points this farmer scored (the team score lives on the simulation).
+        this.score = 0;
         // Q2.c: Added baseSpeed to track original speed for power-up resets.
         this.baseSpeed = this.speed;
-        // Q2.c: Power-up timer for speed boost duration.
-        this.speedBoostEnd = 0;
-        // G2: Sprite sheet for animated farmer.
-        this.sprite = new Image();
-        this.sprite.src = 'sprites/farmer.png'; // 4x4 grid: rows=down/left/right/up, cols=4 walk frames, each 32x32
+        // Timed effects from power-ups (speed boost, magnet, ...), ticked by the simulation.
+        this.effects = new EffectList(this);
+        // G2: Sprite sheet for animated farmer (skipped without a DOM, e.g. headless in Node).
         this.spriteLoaded = false;
-        this.sprite.onload = () => { this.spriteLoaded = true; };
+        this.sheet = null; // tinted copy of the sheet, when the farmer has a tint
+        if (typeof Image !== "undefined") {
+            this.sprite = new Image();
+            this.sprite.src = 'sprites/farmer.png'; // 4x4 grid: rows=down/left/right/up, cols=4 walk frames, each 32x32
+            this.sprite.onload = () => {
+                this.spriteLoaded = true;
+                if (this.tint) this.sheet = Farmer.tintSheet(this.sprite, this.tint);
+            };
+        }
         // G2: Animation state.
         this.currentRow = 0; // Default: down (row 0)
         this.currentFrame = 0; // Idle frame
-        this.frameTime = 0;
         this.frameDuration = 0.1; // Advance frame every 0.1s for ~10 FPS animation
         this.cellSize = 32; // Assumed sprite cell size
         this.isMoving = false; // Track if animating
     }
 
     /**
-     * Handles player input for movement.
-     * @param {Input} input - The input handler providing key states.
+     * Handles player input for movement: speed and direction follow the input's movement vector
+     * (analog from a gamepad stick, or the arrow keys).
+     * @param {Input} input - The input source (keys, and optionally an analog move vector).
      */
     handleInput(input) {
-        const L = input.keys.has("ArrowLeft"), R = input.keys.has("ArrowRight");
-        const U = input.keys.has("ArrowUp"), D = input.keys.has("ArrowDown");
-        this.vx = (R - L) * this.speed;
-        this.vy = (D - U) * this.speed;
+        const move = movementOf(input);
+        this.vx = move.x * this.speed;
+        this.vy = move.y * this.speed;
         // G2: Determine direction row based on movement vector.
         if (this.vx !== 0 || this.vy !== 0) {
             this.isMoving = true;
@@ -62,46 +78,49 @@ export class Farmer extends Entity {
         // Q1.c: In this method call (handleInput), 'this' is dynamically bound to the receiver object (Farmer instance) due to how the method is invoked on the instance.
     }
 
-    /**
-     * Applies a temporary speed boost.
-     * @param {number} duration - Duration of the boost in seconds.
-     */
-    // Q2.c: Added method to apply speed boost for a duration.
-    applySpeedBoost(duration) {
-        this.speed = this.baseSpeed * 1.5; // 50% boost
-        this.speedBoostEnd = performance.now() / 1000 + duration;
-    }
-
     /**
      * Updates farmer position and handles collisions.
      * @param {number} dt - Delta time in seconds.
-     * @param {Game} game - The game instance for obstacle checks.
+     * @param {Simulation} game - The simulation, for obstacle checks and its clock.
      */
     update(dt, game) {
-        // Q2.c: Check if speed boost is active and reset if expired.
-        const now = performance.now() / 1000;
-        if (now > this.speedBoostEnd) {
-            this.speed = this.baseSpeed;
-        }
-        // G2: Advance animation frame if moving.
+        // G2: Advance animation frame if moving, on the game clock.
         if (this.isMoving) {
-            this.frameTime += dt;
-            if (this.frameTime >= this.frameDuration) {
-                this.frameTime = 0;
-                this.currentFrame = (this.currentFrame + 1) % 4; // Cycle through 4 frames
-            }
+            this.currentFrame = Math.floor(game.clock.time / this.frameDuration) % 4; // Cycle through 4 frames
         }
-        // try movement
-        const oldX = this.x, oldY = this.y;
-        this.x = clamp(this.x + this.vx * dt, 0, WIDTH - this.w);
-        this.y = clamp(this.y + this.vy * dt, 0, HEIGHT - this.h);
-        // block through obstacles
-        const hitObs = game.obstacles.some(o => aabb(this, o));
-        if (hitObs) { this.x = oldX; this.y = oldY; }
+        // Move one axis at a time, so being blocked on one still slides along the other.
+        this.moveAxis("x", this.vx * dt, game);
+        this.moveAxis("y", this.vy * dt, game);
     }
 
     /**
-     * Draws the farmer (body and hat) with optional speed boost visual.
+     * Moves along one axis, then pushes back out of every obstacle (or other farmer) hitbox it entered by
+     * exactly the overlap. Hitboxes it already overlapped before the move (squeezed in at a spawn) do not
+     * push, so it can walk out.
+     * @param {"x"|"y"} axis
+     * @param {number} delta - Pixels to move, signed.
+     * @param {Simulation} game - The simulation, for its obstacle index and farmers.
+     */
+    moveAxis(axis, delta, game) {
+        if (delta === 0) return;
+        const size = axis === "x" ? "w" : "h";
+        const from = this[axis];
+        this[axis] = clamp(from + delta, 0, (axis === "x" ? WIDTH : HEIGHT) - this[size]);
+        const moved = Math.abs(this[axis] - from);
+        let push = 0;
+        const farmers = game.players.filter(f => f !== this && overlaps(this, f));
+        game.spatial.obstacles.queryRect(this).concat(farmers).forEach(o => {
+            this.hitboxes.forEach(p => o.hitboxes.forEach(q => {
+                if (!aabb(p, q)) return;
+                const depth = delta > 0 ? p[axis] + p[size] - q[axis] : q[axis] + q[size] - p[axis];
+                if (depth - moved <= Farmer.SKIN) push = Math.max(push, depth);
+            }));
+        });
+        this[axis] -= Math.sign(delta) * push;
+    }
+
+    /**
+     * Draws the farmer (body and hat) with the visuals of active effects.
      * @param {CanvasRenderingContext2D} ctx - The 2D rendering context.
      */
     draw(ctx) {
@@ -109,7 +128,7 @@ export class Farmer extends Entity {
         if (this.spriteLoaded) {
             const sx = this.currentFrame * this.cellSize;
             const sy = this.currentRow * this.cellSize;
-            ctx.drawImage(this.sprite, sx, sy, this.cellSize, this.cellSize, this.x, this.y, this.w, this.h);
+            ctx.drawImage(this.sheet || this.sprite, sx, sy, this.cellSize, this.cellSize, this.x, this.y, this.w, this.h);
         } else {
             // Fallback: old drawing until sprite loads.
             ctx.fillStyle = this.color;
@@ -118,11 +137,32 @@ export class Farmer extends Entity {
             ctx.fillRect(this.x + 4, this.y - 6, this.w - 8, 8);        // hat brim
             ctx.fillRect(this.x + 10, this.y - 18, this.w - 20, 12);    // hat top
         }
-        // Q2.c: Visual indicator for active speed boost (glowing outline).
-        if (performance.now() / 1000 < this.speedBoostEnd) {
-            ctx.strokeStyle = "#ffff00";
-            ctx.lineWidth = 3;
-            ctx.strokeRect(this.x, this.y, this.w, this.h);
+        this.effects.draw(ctx);
+        if (this.label) {
+            ctx.fillStyle = this.tint || "#333";
+            ctx.font = "bold 12px system-ui, sans-serif";
+            ctx.textAlign = "center";
+            ctx.fillText(this.label, this.x + this.w / 2, this.y - 22);
+            ctx.textAlign = "left";
         }
     }
+
+    /**
+     * Copy of a sprite sheet with a color washed over its opaque pixels.
+     * @param {HTMLImageElement} image - The loaded sheet.
+     * @param {string} color - CSS color.
+     * @returns {HTMLCanvasElement}
+     */
+    static tintSheet(image, color) {
+        const canvas = document.createElement("canvas");
+        canvas.width = image.width;
+        canvas.height = image.height;
+        const ctx = canvas.getContext("2d");
+        ctx.drawImage(image, 0, 0);
+        ctx.globalCompositeOperation = "source-atop";
+        ctx.globalAlpha = Farmer.TINT_ALPHA;
+        ctx.fillStyle = color;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        return canvas;
+    }
 }
\ No newline at end of file
@@ -1,12 +1,19 @@
-import { Farmer } from './Farmer.js';
-import { Crop } from './Crop.js';
-import { PowerUp } from './PowerUp.js';
-import { Scarecrow, Crow } from './Obstacle.js';
+import { OnlineClient } from './Online.js';
+import { StatsStore, StatsTracker } from './Stats.js';
+import { StatsScreen } from './StatsScreen.js';
+import { Simulation } from './Simulation.js';
 import { Input } from './input.js';
+import { ReplayRecorder, ReplayPlayer } from './Replay.js';
+import { Ghost, GhostStore } from './Ghost.js';
+import { validateConfig, ConfigError } from './ConfigSchema.js';
+import { Editor } from './Editor.js';
+import { Bot } from './Bot.js';
+import { ControlsScreen } from './Controls.js';
+import { keyLabel } from './Bindings.js';
 import { WIDTH as GAME_WIDTH, HEIGHT as GAME_HEIGHT, TILE as GAME_TILE, clamp as gameClamp, aabb as gameAabb } from './Utils.js'; // G3: Import utils; alias to avoid conflicts with statics.
 
 /**
- * Game class manages the overall game state and loop.
+ * Game class wraps the Simulation for the browser: config loading, the RAF loop, rendering and the DOM HUD.
  */
 export class Game {
     /**
@@ -19,16 +26,24 @@ export class Game {
     static clamp = gameClamp;
     static aabb = gameAabb;
 
+    /**
+     * Fixed-step loop limits.
+     */
+    static DEFAULT_TICK_RATE = 60;      // simulation steps per second unless config.tickRate says otherwise
+    static MAX_FRAME_TIME = 0.25;       // seconds of wall time a single frame may feed into the accumulator
+    static MAX_STEPS_PER_FRAME = 15;    // spiral-of-death guard: never run more steps than this per frame
+
+    /**
+     * Field colors used when a level has no palette.
+     */
+    static DEFAULT_PALETTE = Object.freeze({ background: "#dff0d5", grid: "#c7e0bd" });
+    static INTRO_SECONDS = 3;           // how long a level's name/intro banner stays up
+    static FIELD_FULL_SECONDS = 2;      // how long the "field is full" notice stays up after a skipped spawn
+
     /**
      * Game state enumeration.
      */
-    static State = Object.freeze({
-        MENU: "MENU",
-        PLAYING: "PLAYING",
-        PAUSED: "PAUSED",
-        GAME_OVER: "GAME_OVER",
-        WIN: "WIN"
-    });
+    static State = Simulation.State;
 
     /**
      * Utility function to clamp values.
@@ -58,45 +73,50 @@ export class Game {
         }
         this.canvas = canvas;
         this.ctx = canvas.getContext("2d");
-        this.state = Game.State.MENU;
-
-        // G1: Added level tracking, starts at 1, max 3 levels.
-        this.level = 1;
 
         // G3: Config from external JSON.
         this.config = null;
-        // G3: Total required score for win (cumulative across levels).
-        this.requiredScore = 0;
-        // G3: Current max time for clamp.
-        this.maxTime = 0;
-
-        // world
-        this.player = new Farmer(Game.WIDTH / 2 - 17, Game.HEIGHT - 80);
-        this.crops = [];
-        this.obstacles = [];
-        // Q2.c: Added powerUps array for power-up entities.
-        this.powerUps = [];
-        // Q2.d: Separate crows from static obstacles for movement logic.
-        this.crows = [];
-
-        // timing
+        // Rules and world state live in the DOM-free simulation; created once config is loaded.
+        this.sim = null;
+        // Seed from the URL (?seed=...) wins over config.seed; without either every run gets a fresh seed.
+        const params = new URLSearchParams(window.location.search);
+        this.seed = params.get("seed") ?? undefined;
+        // Pathfinding debug overlay (?debug=nav, or G to toggle).
+        this.showNav = params.get("debug") === "nav";
+        // Autonomous bot player (?bot): it replaces the keyboard as the simulation's input source.
+        this.bot = params.has("bot") ? new Bot() : null;
+        // Player mode (?mode=coop|versus, or the Players menu); two-player modes share the keyboard.
+        this.mode = Simulation.MODES.includes(params.get("mode")) ? params.get("mode") : "solo";
+
+        // timing: fixed simulation step fed by an accumulator of wall time
         this.lastTime = 0;
-        this.timeLeft = 0; // G3: Initialized to 0; set from config.
-        this.spawnEvery = 0; // G3: Set from config.
-        this._accumSpawn = 0;
-        // Q2.c: Spawn rate for power-ups (less frequent).
-        this.powerUpSpawnEvery = 0; // G3: Set from config.
-        this._accumPowerUpSpawn = 0;
-        // Q2.d: Spawn rate for crows (moderate frequency).
-        this.crowSpawnEvery = 0; // G3: Set from config.
-        this._accumCrowSpawn = 0;
-
-        // score & goal
-        this.score = 0;
-        this.goal = 0; // G3: Total required for UI; set from config.
+        this.stepSeconds = 1 / Game.DEFAULT_TICK_RATE;
+        this.accumulator = 0;
+        this._running = false;
+
+        // replays: the live run is always recorded; a loaded replay takes over the simulation while it plays
+        this.recorder = null;
+        this.replay = null;
+        this.replayPlaying = false;
+        this.replaySpeed = 1;
+        // ghost racer: the best stored run for the current seed, replayed alongside the live player
+        this.ghostStore = new GhostStore();
+        this.ghost = null;
+        // local leaderboards and lifetime stats; the tracker counts the current game
+        this.statsStore = new StatsStore();
+        this.tracker = null;
+        // level editor; while it is open (and not play-testing) it owns the canvas
+        this.editor = new Editor(this);
 
         // input & resize
-        this.input = new Input(this);
+        // Gamepad stick dead zone from the URL (?deadzone=0.3), else GamepadInput.DEAD_ZONE.
+        const deadZone = Number(params.get("deadzone"));
+        this.input = new Input(this, { deadZone: deadZone > 0 && deadZone < 1 ? deadZone : undefined, canvas });
+        this.input.setTwoPlayer(this.mode !== "solo" && !params.has("online"));
+        // key binding settings
+        this.controls = new ControlsScreen(this);
+        // leaderboard, lifetime stats and high score name entry
+        this.stats = new StatsScreen(this, this.statsStore);
         // Q1.b: .bind(this) is required here for the resize event listener because onResize is a regular instance method; without it, 'this' in onResize would bind dynamically to window, not the Game instance. An arrow function would provide lexical binding, but .bind allows the method to retain its original dynamic nature while fixing the context for the callback.
         this._onResize = this.onResize.bind(this);
         // Q1.c: Similar to key events, the bound resize listener ensures 'this' in the callback method is the Game instance, preventing loss of context in event handling.
@@ -108,27 +128,113 @@ export class Game {
             score: get("score"),
             time: get("time"),
             goal: get("goal"),
+            players: get("playerScores"),
+            mode: get("mode"),
             status: get("status"),
             start: get("btnStart"),
             reset: get("btnReset"),
             // G1: Added level UI element (assume <strong id="level">1</strong> added to HTML next to goal).
             level: get("level"),
+            seed: get("seed"),
+            saveReplay: get("btnSaveReplay"),
+            replayFile: get("replayFile"),
+            replayBar: get("replayBar"),
+            replayPlay: get("btnReplayPlay"),
+            replaySeek: get("replaySeek"),
+            replayTime: get("replayTime"),
+            replaySpeed: get("replaySpeed"),
+            replayExit: get("btnReplayExit"),
+            ghost: get("ghost"),
+            effects: get("effects"),
+            editor: get("btnEditor"),
+            controls: get("btnControls"),
+            stats: get("btnStats"),
+            errors: get("errors"),
+            errorTitle: get("errorTitle"),
+            errorList: get("errorList"),
+            touchControls: get("touchControls"),
+            touchStart: get("btnTouchStart"),
+            touchPause: get("btnTouchPause"),
+            touchMode: get("btnTouchMode"),
         };
-        if (this.ui.goal) this.ui.goal.textContent = String(this.goal);
         if (this.ui.start) this.ui.start.addEventListener("click", () => this.start()); // arrow keeps `this`
         if (this.ui.reset) this.ui.reset.addEventListener("click", () => this.reset());
+        if (this.ui.editor) this.ui.editor.addEventListener("click", () => this.openEditor());
+        if (this.ui.controls) this.ui.controls.addEventListener("click", () => this.controls.open());
+        if (this.ui.stats) this.ui.stats.addEventListener("click", () => this.stats.open());
+        if (this.ui.mode) {
+            this.ui.mode.value = this.mode;
+            this.ui.mode.addEventListener("change", e => {
+                e.target.blur(); // hand the keyboard back to the game
+                this.setMode(e.target.value);
+            });
+        }
+        if (this.ui.saveReplay) this.ui.saveReplay.addEventListener("click", () => this.downloadReplay());
+        if (this.ui.replayFile) this.ui.replayFile.addEventListener("change", e => this.loadReplayFile(e.target.files[0]));
+        if (this.ui.replayPlay) this.ui.replayPlay.addEventListener("click", () => this.toggleReplayPlayback());
+        if (this.ui.replaySeek) this.ui.replaySeek.addEventListener("input", e => this.seekReplay(Number(e.target.value)));
+        if (this.ui.replaySpeed) this.ui.replaySpeed.addEventListener("change", e => { this.replaySpeed = Number(e.target.value); });
+        if (this.ui.replayExit) this.ui.replayExit.addEventListener("click", () => this.exitReplay());
+        if (this.ui.touchStart) this.ui.touchStart.addEventListener("click", () => this.start());
+        if (this.ui.touchPause) this.ui.touchPause.addEventListener("click", () => this.togglePause());
+        if (this.ui.touchMode) this.ui.touchMode.addEventListener("click", () => this.toggleTouchMode());
+        // On-screen controls show up on touch screens, or after the first touch on the canvas.
+        if (window.matchMedia && window.matchMedia("(pointer: coarse)").matches) this.showTouchControls();
+
+        // Online play (?online, or ?online=ws://host:port/ws for another server) in a server.js room
+        // (?room=...) under a name (?name=...); the server then owns the simulation.
+        this.online = params.has("online") ? new OnlineClient(this, {
+            url: params.get("online") || `${location.protocol === "https:" ? "wss" : "ws"}://${location.host}/ws`,
+            room: params.get("room") || "default",
+            name: params.get("name") || ""
+        }) : null;
 
         // RAF loop as arrow function → lexical `this`
         // Q1.c: In the requestAnimationFrame (RAF) loop, the arrow function for tick ensures 'this' is lexically bound to the Game instance from the constructor scope, avoiding the default dynamic binding which would set 'this' to window/undefined in non-strict mode.
         this.tick = (ts) => {
-            const dt = Math.min((ts - this.lastTime) / 1000, 0.033); // ~30ms cap
+            // Long frames (tab switches, breakpoints) are clamped instead of replayed in full.
+            const timeScale = this.replay ? this.replaySpeed : 1;
+            this.accumulator += Game.clamp((ts - this.lastTime) / 1000, 0, Game.MAX_FRAME_TIME) * timeScale;
             this.lastTime = ts;
-            this.update(dt);
-            this.render();
+            this.input.poll();
+            let steps = 0;
+            while (this.accumulator >= this.stepSeconds && steps < Game.MAX_STEPS_PER_FRAME) {
+                this.update(this.stepSeconds);
+                this.accumulator -= this.stepSeconds;
+                steps++;
+            }
+            // If the step cap was hit, drop the backlog rather than falling further behind every frame.
+            if (steps === Game.MAX_STEPS_PER_FRAME) this.accumulator = Math.min(this.accumulator, this.stepSeconds);
+            this.render(this.accumulator / this.stepSeconds);
             requestAnimationFrame(this.tick);
         };
     }
 
+    /**
+     * Current game state (MENU until a config has been loaded).
+     * @returns {string} One of Game.State.
+     */
+    get state() {
+        return this.sim ? this.sim.state : Game.State.MENU;
+    }
+
+    /**
+     * Current level, starting at 1.
+     * @returns {number}
+     */
+    get level() {
+        return this.sim ? this.sim.level : 1;
+    }
+
+    /**
+     * The farmer this browser moves: player 1, or online the player's own farmer (none while watching).
+     * @returns {Farmer|undefined}
+     */
+    get localPlayer() {
+        if (!this.sim) return undefined;
+        return this.online ? this.sim.players[this.online.slot] : this.sim.player;
+    }
+
     /**
      * Handles window resize events.
      */
@@ -140,81 +246,127 @@ export class Game {
      * Starts or resumes the game (loads config on first start).
      */
     start() {
+        if (this.editor.active) this.editor.close();
+        if (this.replay) this.exitReplay();
+        if (this.online) {
+            this.online.start(this.mode);
+            return;
+        }
         if (this.state === Game.State.PAUSED) {
-            this.state = Game.State.PLAYING;
-            if (this.ui.status) this.ui.status.textContent = "Playing…";
+            this.sim.start();
+            this.syncUI();
+            return;
+        }
+        if (this.state === Game.State.LEVEL_COMPLETE) {
+            this.continueLevel();
             return;
         }
         // G3: Load config asynchronously at game start.
-        fetch('config.json')
+        this.loadConfig()
+            .then(config => this.startWithConfig(config))
+            .catch(error => this.reportConfigError(error));
+    }
+
+    /**
+     * Fetches and validates config.json.
+     * @returns {Promise<Object>} The validated config.
+     * @throws {ConfigError} (as rejection) if the file has validation problems.
+     */
+    loadConfig() {
+        return fetch('config.json')
             .then(response => {
                 if (!response.ok) {
                     throw new Error(`HTTP error! status: ${response.status}`);
                 }
                 return response.json();
             })
-            .then(config => {
-                this.config = config;
-                this.resetWithConfig(config);
-                this.state = Game.State.PLAYING;
-                if (this.ui.status) this.ui.status.textContent = "Playing…";
-                requestAnimationFrame(this.tick);
-            })
-            .catch(error => {
-                console.error('Failed to load config.json:', error);
-                // G3: Fallback to hardcoded defaults.
-                this.config = {
-                    levels: [
-                        { goal: 15, timeLimit: 60, spawnEvery: 0.8, crowSpawnEvery: 5, powerUpSpawnEvery: 10, numScarecrows: 2 },
-                        { goal: 20, timeLimit: 55, spawnEvery: 0.6, crowSpawnEvery: 4, powerUpSpawnEvery: 8, numScarecrows: 3 },
-                        { goal: 25, timeLimit: 50, spawnEvery: 0.4, crowSpawnEvery: 3, powerUpSpawnEvery: 6, numScarecrows: 4 }
-                    ]
-                };
-                this.resetWithConfig(this.config);
-                this.state = Game.State.PLAYING;
-                if (this.ui.status) this.ui.status.textContent = "Playing… (using defaults)";
-                requestAnimationFrame(this.tick);
+            .then(raw => {
+                // Invalid config is reported on screen instead of being replaced by built-in defaults.
+                const { config, errors } = validateConfig(raw);
+                if (errors.length) throw new ConfigError("config.json has problems", errors);
+                return config;
             });
     }
 
+    /**
+     * Shows a config loading/validation failure in the error panel.
+     * @param {Error} error - A ConfigError, or any loading error.
+     */
+    reportConfigError(error) {
+        console.error('Failed to load config.json:', error);
+        if (error instanceof ConfigError) {
+            this.showErrors(error.message, error.errors);
+        } else {
+            this.showErrors("Could not load config.json", [error.message]);
+        }
+    }
+
+    /**
+     * Starts a new game on an already validated config.
+     * @param {Object} config - Validated config.
+     */
+    startWithConfig(config) {
+        this.showErrors(null);
+        this.resetWithConfig(config);
+        this.sim.start();
+        this.syncUI();
+        this.run();
+    }
+
+    /**
+     * Opens the level editor on the current levels (loading config.json first if needed).
+     */
+    openEditor() {
+        if (this.online) return;
+        if (this.replay) this.exitReplay();
+        const open = config => {
+            this.editor.open(config);
+            this.run();
+        };
+        if (this.config) {
+            open(this.config);
+        } else {
+            this.loadConfig()
+                .then(config => {
+                    this.resetWithConfig(config);
+                    open(config);
+                })
+                .catch(error => {
+                    this.reportConfigError(error);
+                    open(null);
+                });
+        }
+    }
+
+    /**
+     * Starts the RAF loop once; later starts reuse the running loop.
+     */
+    run() {
+        this.lastTime = performance.now();
+        this.accumulator = 0;
+        if (this._running) return;
+        this._running = true;
+        requestAnimationFrame(this.tick);
+    }
+
     /**
      * G3: Resets the game using the loaded config.
      * @param {Object} config - The parsed JSON config.
      */
     resetWithConfig(config) {
-        this.state = Game.State.MENU;
-        // G1: Reset to level 1.
-        this.level = 1;
-        this.player = new Farmer(Game.WIDTH / 2 - 17, Game.HEIGHT - 80);
-        this.crops.length = 0;
-        this.obstacles.length = 0;
-        // Q2.c: Reset power-ups on game reset.
-        this.powerUps.length = 0;
-        // Q2.d: Reset crows on game reset.
-        this.crows.length = 0;
-        this.score = 0;
-        // G3: Set initial required score and goal from config level 0.
-        this.requiredScore = config.levels[0].goal;
-        this.goal = this.requiredScore;
-        // G3: Set initial timing from config.
-        this.timeLeft = config.levels[0].timeLimit;
-        this.maxTime = config.levels[0].timeLimit;
-        this.spawnEvery = config.levels[0].spawnEvery;
-        this.crowSpawnEvery = config.levels[0].crowSpawnEvery;
-        this.powerUpSpawnEvery = config.levels[0].powerUpSpawnEvery;
-        this._accumSpawn = 0;
-        this._accumPowerUpSpawn = 0;
-        this._accumCrowSpawn = 0;
-        this.lastTime = performance.now();
-        // G3: Place initial scarecrows from config.
-        const initialConfig = config.levels[0];
-        for (let i = 0; i < initialConfig.numScarecrows; i++) {
-            const gx = Math.floor(Math.random() * ((Game.WIDTH - 2 * Game.TILE) / Game.TILE)) * Game.TILE + Game.TILE;
-            const gy = Math.floor(Math.random() * ((Game.HEIGHT - 2 * Game.TILE) / Game.TILE)) * Game.TILE + Game.TILE;
-            this.obstacles.push(new Scarecrow(gx, gy));
-        }
+        this.config = config;
+        const tickRate = config.tickRate || Game.DEFAULT_TICK_RATE;
+        this.stepSeconds = 1 / tickRate;
+        const inputs = [this.bot || this.input, this.input.player2];
+        this.sim = new Simulation(config, { inputs, seed: this.seed ?? config.seed, mode: this.mode });
+        this.recorder = new ReplayRecorder({ seed: this.sim.seed, config, tickRate, mode: this.mode });
+        // Ghosts race solo runs only.
+        const best = this.mode === "solo" && this.ghostStore.load(this.sim.seed, config);
+        this.ghost = best ? new Ghost(best) : null;
+        // An abandoned game still adds what happened in it to the lifetime stats.
+        if (this.tracker) this.tracker.finish();
+        this.tracker = this.countsForStats ? new StatsTracker(this.statsStore, this.sim) : null;
         this.syncUI();
-        if (this.ui.status) this.ui.status.textContent = "Menu";
     }
 
     /**
@@ -222,6 +374,11 @@ export class Game {
      */
     // G3: Simplified reset; now uses resetWithConfig via button listener.
     reset() {
+        if (this.online) {
+            this.online.reset();
+            return;
+        }
+        if (this.replay) this.exitReplay();
         if (this.config) {
             this.resetWithConfig(this.config);
         } else {
@@ -230,202 +387,375 @@ export class Game {
         }
     }
 
+    /**
+     * Switches between solo, co-op and versus, returning to the menu. Online, it is the mode asked
+     * for at the next start, and every player keeps the whole keyboard.
+     * @param {"solo"|"coop"|"versus"} mode
+     */
+    setMode(mode) {
+        if (!Simulation.MODES.includes(mode)) return;
+        this.mode = mode;
+        if (this.ui.mode) this.ui.mode.value = mode;
+        if (this.online) return;
+        this.input.setTwoPlayer(mode !== "solo");
+        if (this.config) this.reset();
+    }
+
+    /**
+     * Leaves the between-level summary screen and starts the next level.
+     */
+    continueLevel() {
+        if (this.online) {
+            this.online.continueLevel();
+            return;
+        }
+        if (!this.sim || this.replay) return;
+        this.sim.continueLevel();
+        this.syncUI();
+    }
+
+    /**
+     * Shows or hides the pathfinding debug overlay (blocked cells and recent paths).
+     */
+    toggleNavDebug() {
+        this.showNav = !this.showNav;
+    }
+
+    /**
+     * Shows the on-screen start/pause buttons and the touch mode switch.
+     */
+    showTouchControls() {
+        if (this.ui.touchControls) this.ui.touchControls.hidden = false;
+    }
+
+    /**
+     * Switches touch controls between the virtual joystick and tap-to-move.
+     */
+    toggleTouchMode() {
+        const mode = this.input.touch.toggleMode();
+        if (this.ui.touchMode) this.ui.touchMode.textContent = mode === "tap" ? "Mode: tap to move" : "Mode: joystick";
+    }
+
     /**
      * Toggles pause state.
      */
     togglePause() {
-        if (this.state === Game.State.PLAYING) {
-            this.state = Game.State.PAUSED;
-            if (this.ui.status) this.ui.status.textContent = "Paused";
-        } else if (this.state === Game.State.PAUSED) {
-            this.state = Game.State.PLAYING;
-            if (this.ui.status) this.ui.status.textContent = "Playing…";
+        if (this.replay) {
+            this.toggleReplayPlayback();
+            return;
+        }
+        if (this.online) {
+            this.online.togglePause();
+            return;
+        }
+        if (!this.sim) return;
+        this.sim.togglePause();
+        this.syncUI();
+    }
+
+    /**
+     * Status line text for the current state.
+     * @returns {string}
+     */
+    statusText() {
+        if (this.replay) {
+            if (!this.replay.done) return this.replayPlaying ? "Replay playing" : "Replay paused";
+            return this.replay.diverged()
+                ? `Replay diverged: recorded ${this.replay.replay.result.score} points, got ${this.sim.score}`
+                : "Replay finished";
         }
+        if (this.online) return this.sim ? `${this.online.statusText()} — ${this.stateText()}` : this.online.statusText();
+        return this.stateText();
+    }
+
+    /**
+     * Status text of the game state alone.
+     * @returns {string}
+     */
+    stateText() {
+        switch (this.state) {
+            case Game.State.PLAYING: return this.level > 1 ? `Level ${this.level} - Playing…` : "Playing…";
+            case Game.State.PAUSED: return "Paused";
+            case Game.State.LEVEL_COMPLETE: return `Level ${this.level} cleared`;
+            case Game.State.GAME_OVER: return this.sim.mode === "versus" ? `Game Over — ${this.winnerText()}` : "Game Over";
+            case Game.State.WIN: return this.sim.mode === "versus" ? this.winnerText() : "You Win!";
+            default: return "Menu";
+        }
+    }
+
+    /**
+     * Shows problems (e.g. config validation errors) in the on-screen error panel, or hides it.
+     * @param {string|null} title - Panel heading; null hides the panel.
+     * @param {string[]} [messages] - One list item per problem.
+     */
+    showErrors(title, messages = []) {
+        if (!this.ui.errors) return;
+        this.ui.errors.hidden = !title;
+        if (!title) return;
+        if (this.ui.errorTitle) this.ui.errorTitle.textContent = title;
+        if (this.ui.errorList) {
+            this.ui.errorList.replaceChildren(...messages.map(message => {
+                const li = document.createElement("li");
+                li.textContent = message;
+                return li;
+            }));
+        }
+        if (this.ui.status) this.ui.status.textContent = "Error";
     }
 
     /**
      * Synchronizes UI elements with game state.
      */
     syncUI() {
-        if (this.ui.score) this.ui.score.textContent = String(this.score);
-        if (this.ui.time) this.ui.time.textContent = Math.ceil(this.timeLeft);
-        if (this.ui.goal) this.ui.goal.textContent = String(this.goal);
+        if (!this.sim) {
+            if (this.online && this.ui.status) this.ui.status.textContent = this.statusText();
+            return;
+        }
+        if (this.ui.score) this.ui.score.textContent = String(this.sim.score);
+        if (this.ui.time) this.ui.time.textContent = Math.ceil(this.sim.timeLeft);
+        if (this.ui.goal) this.ui.goal.textContent = String(this.sim.goal);
         // G1: Update level display.
-        if (this.ui.level) this.ui.level.textContent = String(this.level);
-    }
-
-    /**
-     * G1: Advances to the next level with increased difficulty.
-     */
-    advanceLevel() {
-        // Increment level (max 3).
-        if (this.level >= 3) return;
-        this.level++;
-        // Reset time and dynamic entities for new round.
-        this.timeLeft = this.config.levels[this.level - 1].timeLimit;
-        this.maxTime = this.timeLeft;
-        this.crops.length = 0;
-        this.powerUps.length = 0;
-        this.crows.length = 0;
-        this._accumSpawn = 0;
-        this._accumPowerUpSpawn = 0;
-        this._accumCrowSpawn = 0;
-        // G3: Update difficulty from config.
-        const levelConfig = this.config.levels[this.level - 1];
-        this.spawnEvery = levelConfig.spawnEvery;
-        this.crowSpawnEvery = levelConfig.crowSpawnEvery;
-        this.powerUpSpawnEvery = levelConfig.powerUpSpawnEvery;
-        // G3: Add to required score for this level.
-        this.requiredScore += levelConfig.goal;
-        this.goal = this.requiredScore;
-        // Add more static obstacles (scarecrows).
-        this.obstacles = [];
-        for (let i = 0; i < levelConfig.numScarecrows; i++) {
-            const gx = Math.floor(Math.random() * ((Game.WIDTH - 2 * Game.TILE) / Game.TILE)) * Game.TILE + Game.TILE;
-            const gy = Math.floor(Math.random() * ((Game.HEIGHT - 2 * Game.TILE) / Game.TILE)) * Game.TILE + Game.TILE;
-            this.obstacles.push(new Scarecrow(gx, gy));
+        if (this.ui.level) this.ui.level.textContent = String(this.sim.level);
+        if (this.ui.seed) this.ui.seed.textContent = String(this.sim.seed);
+        if (this.ui.status) this.ui.status.textContent = this.statusText();
+        if (this.ui.ghost) {
+            this.ui.ghost.hidden = !this.ghost || !!this.replay;
+            if (this.ghost) this.ui.ghost.textContent = this.ghostDeltaText();
         }
-        this.syncUI();
-        // G1: Update status to reflect new level.
-        if (this.ui.status) this.ui.status.textContent = `Level ${this.level} - Playing…`;
+        if (this.ui.effects) this.ui.effects.textContent = this.effectsText();
+        if (this.ui.players) {
+            this.ui.players.hidden = this.sim.playerCount < 2;
+            this.ui.players.textContent = this.playerScoresText();
+        }
+    }
+
+    /**
+     * HUD text listing the farmers' active effects with their remaining time ("Speed 3.2s · Points ×2 6.0s"),
+     * prefixed with the player in two-player modes ("P2: Magnet 4.1s").
+     * @returns {string}
+     */
+    effectsText() {
+        return this.sim.players
+            .map(farmer => {
+                const effects = farmer.effects.list()
+                    .map(effect => `${effect.label} ${Math.max(0, effect.remaining).toFixed(1)}s`)
+                    .join(" · ");
+                return effects && farmer.label ? `${farmer.label}: ${effects}` : effects;
+            })
+            .filter(Boolean)
+            .join(" · ");
     }
 
     /**
-     * Spawns a new random crop.
+     * HUD text with each farmer's own points ("P1 12 · P2 8").
+     * @returns {string}
      */
-    spawnCrop() {
-        const gx = Math.floor(Math.random() * ((Game.WIDTH - 2 * Game.TILE) / Game.TILE)) * Game.TILE + Game.TILE;
-        const gy = Math.floor(Math.random() * ((Game.HEIGHT - 2 * Game.TILE) / Game.TILE)) * Game.TILE + Game.TILE;
-        // Q2.a: Randomly select crop type for varied points.
-        const types = ["wheat", "pumpkin", "golden_apple"];
-        const type = types[Math.floor(Math.random() * types.length)];
-        this.crops.push(new Crop(gx, gy, type));
+    playerScoresText() {
+        return this.sim.players.map((farmer, i) => `P${i + 1} ${farmer.score}`).join(" · ");
     }
 
     /**
-     * Spawns a new power-up.
+     * Result line of a finished versus game ("Player 2 wins 14 to 9", or a draw).
+     * @returns {string}
      */
-    // Q2.c: Added method to spawn power-up.
-    spawnPowerUp() {
-        const gx = Math.floor(Math.random() * ((Game.WIDTH - 2 * Game.TILE) / Game.TILE)) * Game.TILE + Game.TILE;
-        const gy = Math.floor(Math.random() * ((Game.HEIGHT - 2 * Game.TILE) / Game.TILE)) * Game.TILE + Game.TILE;
-        this.powerUps.push(new PowerUp(gx, gy));
+    winnerText() {
+        const { winner, players } = this.sim;
+        const scores = players.map(farmer => farmer.score);
+        if (winner === null) return `Draw at ${scores[0]} points each`;
+        const loser = scores.filter((score, i) => i !== winner);
+        return `Player ${winner + 1} wins ${scores[winner]} to ${Math.max(...loser)}`;
     }
 
     /**
-     * Spawns a new crow.
+     * HUD text comparing the live score with the ghost's score at the same step.
+     * @returns {string}
      */
-    // Q2.d: Added method to spawn crow.
-    spawnCrow() {
-        const gx = Math.floor(Math.random() * ((Game.WIDTH - 2 * Game.TILE) / Game.TILE)) * Game.TILE + Game.TILE;
-        const gy = Math.floor(Math.random() * ((Game.HEIGHT - 2 * Game.TILE) / Game.TILE)) * Game.TILE + Game.TILE;
-        this.crows.push(new Crow(gx, gy));
+    ghostDeltaText() {
+        const delta = this.sim.score - this.ghost.score;
+        if (delta === 0) return "Level with ghost";
+        return `${delta > 0 ? "Ahead of" : "Behind"} ghost by ${Math.abs(delta)} point${Math.abs(delta) === 1 ? "" : "s"}`;
     }
 
     /**
-     * Updates game logic (timing, spawning, collisions).
-     * @param {number} dt - Delta time in seconds.
+     * Runs one fixed simulation step and refreshes the HUD.
+     * @param {number} dt - Step length in seconds (always stepSeconds from the loop).
      */
     update(dt) {
-        if (this.state !== Game.State.PLAYING) return;
-
-        // countdown
-        // G3: Clamp using current maxTime from config.
-        this.timeLeft = Game.clamp(this.timeLeft - dt, 0, this.maxTime);
-        if (this.timeLeft <= 0) {
-            // G1: Time up always ends game, regardless of level.
-            this.state = Game.State.GAME_OVER;
-            if (this.ui.status) this.ui.status.textContent = "Game Over";
+        if (this.editor.active && !this.editor.playtesting) return;
+        if (this.replay) {
+            this.updateReplay();
+            return;
+        }
+        if (this.online) {
+            if (this.state === Game.State.PLAYING && this.localPlayer) this.input.steer(this.sim, this.localPlayer);
+            this.online.update(dt, this.input);
             this.syncUI();
             return;
         }
+        if (!this.sim || this.state !== Game.State.PLAYING) return;
+        if (this.bot) this.bot.think(this.sim);
+        else this.input.steer(this.sim);
+        this.recorder.record(this.sim.inputs);
+        this.sim.step(dt);
+        if (this.ghost) this.ghost.step();
+        if (this.state === Game.State.GAME_OVER || this.state === Game.State.WIN) {
+            this.saveBestRun();
+            if (this.countsForStats) this.stats.offerHighScore(this.sim);
+        }
+        this.syncUI();
+    }
 
-        // player
-        this.player.handleInput(this.input);
-        this.player.update(dt, this);
+    /**
+     * Whether the current game counts toward the leaderboards, lifetime stats and stored best runs
+     * (bot runs and level editor play-tests do not).
+     * @returns {boolean}
+     */
+    get countsForStats() {
+        return !this.bot && !this.editor.playtesting;
+    }
 
-        // spawn crops
-        this._accumSpawn += dt;
-        while (this._accumSpawn >= this.spawnEvery) {
-            this._accumSpawn -= this.spawnEvery;
-            this.spawnCrop();
-        }
+    /**
+     * Stores the finished run as the ghost for its seed if it beats the stored best (solo runs that count, see countsForStats).
+     */
+    saveBestRun() {
+        if (this.sim.mode !== "solo" || !this.countsForStats) return;
+        const { state, score, level } = this.sim;
+        this.ghostStore.saveIfBest(this.recorder.toJSON({ state, score, level }));
+    }
 
-        // Q2.c: Spawn power-ups periodically.
-        this._accumPowerUpSpawn += dt;
-        while (this._accumPowerUpSpawn >= this.powerUpSpawnEvery) {
-            this._accumPowerUpSpawn -= this.powerUpSpawnEvery;
-            this.spawnPowerUp();
-        }
+    /**
+     * Plays one recorded step while replay playback is running.
+     */
+    updateReplay() {
+        if (!this.replayPlaying) return;
+        this.replay.step();
+        if (this.replay.done) this.replayPlaying = false;
+        this.syncReplayUI();
+    }
 
-        // Q2.d: Spawn crows periodically.
-        this._accumCrowSpawn += dt;
-        while (this._accumCrowSpawn >= this.crowSpawnEvery) {
-            this._accumCrowSpawn -= this.crowSpawnEvery;
-            this.spawnCrow();
-        }
+    /**
+     * Downloads the current run (seed, config and per-step keys) as a replay file.
+     */
+    downloadReplay() {
+        if (!this.recorder || !this.sim) return;
+        const { state, score, level } = this.sim;
+        const data = this.recorder.toJSON({ state, score, level });
+        const url = URL.createObjectURL(new Blob([JSON.stringify(data)], { type: "application/json" }));
+        const a = document.createElement("a");
+        a.href = url;
+        a.download = `farmer-harvest-${this.sim.seed}.replay.json`;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
 
-        // collect crops
-        // Q1.a: Arrow function in filter; 'this' is lexically bound to the surrounding Game scope, so this.player refers to the Game's player instance without needing bind (unlike regular functions, where 'this' would be undefined or global).
-        const collected = this.crops.filter(c => Game.aabb(this.player, c));     // arrow #1
-        if (collected.length) {
-            // Q1.a: Arrow function in forEach; lexical 'this' ensures access to Game's properties (e.g., score) remains instance-bound.
-            collected.forEach(c => c.dead = true);                             // arrow #2
-            // Q2.a: Sum points from collected crops instead of fixed +1.
-            const addedPoints = collected.reduce((sum, c) => sum + c.points, 0);
-            this.score += addedPoints;
-            if (this.ui.score) this.ui.score.textContent = String(this.score);
-            // G1: Check for level advance or win after adding points.
-            if (this.score >= this.goal) {
-                if (this.level < 3) {
-                    this.advanceLevel();
-                } else {
-                    this.state = Game.State.WIN;
-                    if (this.ui.status) this.ui.status.textContent = "You Win!";
-                }
-            }
-        }
-        // Q1.a: Arrow function in filter; changes 'this' binding to lexical (Game), preventing loss of context in array methods.
-        this.crops = this.crops.filter(c => !c.dead);                        // arrow #3
-        // Q1.a: Arrow function in forEach; 'this' (passed as game arg) is lexical, but the callback itself uses lexical binding for any internal references.
-        this.crops.forEach(c => c.update(dt, this));                         // arrow #4
-
-        // Q2.c: Collect power-ups.
-        const collectedPowerUps = this.powerUps.filter(p => Game.aabb(this.player, p));
-        collectedPowerUps.forEach(p => {
-            p.dead = true;
-            this.player.applySpeedBoost(5); // 5-second boost
-        });
-        this.powerUps = this.powerUps.filter(p => !p.dead);
-        this.powerUps.forEach(p => p.update(dt, this));
-
-        // Q2.d: Update crows and check collisions (penalize score).
-        this.crows.forEach(crow => crow.update(dt, this));
-        const hitCrows = this.crows.filter(crow => Game.aabb(this.player, crow));
-        if (hitCrows.length > 0) {
-            this.score = Math.max(0, this.score - 2 * hitCrows.length); // Lose 2 points per crow
-            hitCrows.forEach(crow => crow.dead = true);
-            if (this.ui.score) this.ui.score.textContent = String(this.score);
+    /**
+     * Reads a replay file chosen by the user and starts playing it.
+     * @param {File} file - The selected replay file.
+     */
+    loadReplayFile(file) {
+        if (!file) return;
+        file.text()
+            .then(text => this.startReplay(JSON.parse(text)))
+            .catch(error => {
+                console.error('Failed to load replay:', error);
+                if (this.ui.status) this.ui.status.textContent = `Replay rejected: ${error.message}`;
+            })
+            .finally(() => { if (this.ui.replayFile) this.ui.replayFile.value = ""; });
+    }
+
+    /**
+     * Switches the game into replay playback.
+     * @param {Object} data - Parsed replay file.
+     * @throws {Error} If the replay is invalid or from an unsupported version.
+     */
+    startReplay(data) {
+        const player = new ReplayPlayer(data);
+        this.replay = player;
+        this.sim = player.sim;
+        this.stepSeconds = player.stepSeconds;
+        this.replayPlaying = true;
+        if (this.ui.replayBar) this.ui.replayBar.hidden = false;
+        if (this.ui.replaySeek) this.ui.replaySeek.max = String(player.length);
+        this.syncReplayUI();
+        this.run();
+    }
+
+    /**
+     * Plays or pauses replay playback; restarts from the beginning once finished.
+     */
+    toggleReplayPlayback() {
+        if (!this.replay) return;
+        if (this.replay.done) this.seekReplay(0);
+        this.replayPlaying = !this.replayPlaying;
+        this.syncReplayUI();
+    }
+
+    /**
+     * Jumps replay playback to a step.
+     * @param {number} tick - Target step index.
+     */
+    seekReplay(tick) {
+        if (!this.replay) return;
+        this.replay.seek(tick);
+        this.sim = this.replay.sim;
+        this.syncReplayUI();
+    }
+
+    /**
+     * Leaves replay playback and returns to the menu.
+     */
+    exitReplay() {
+        this.replay = null;
+        this.ghost = null;
+        this.replayPlaying = false;
+        if (this.ui.replayBar) this.ui.replayBar.hidden = true;
+        if (this.config) {
+            this.resetWithConfig(this.config);
+        } else {
+            this.sim = null;
+            if (this.ui.status) this.ui.status.textContent = "Menu";
         }
-        this.crows = this.crows.filter(crow => !crow.dead);
+    }
 
-        // timer UI
-        if (this.ui.time) this.ui.time.textContent = Math.ceil(this.timeLeft);
+    /**
+     * Synchronizes the HUD and the replay controls with playback.
+     */
+    syncReplayUI() {
+        this.sim = this.replay.sim;
+        this.syncUI();
+        const { tick, length, stepSeconds } = this.replay;
+        if (this.ui.replaySeek) this.ui.replaySeek.value = String(tick);
+        if (this.ui.replayTime) this.ui.replayTime.textContent = `${(tick * stepSeconds).toFixed(1)}s / ${(length * stepSeconds).toFixed(1)}s`;
+        if (this.ui.replayPlay) this.ui.replayPlay.textContent = this.replayPlaying ? "Pause" : "Play";
     }
 
     /**
-     * Renders the game scene.
+     * Renders the game scene, with moving entities interpolated between the last two steps.
+     * @param {number} [alpha=1] - Fraction of a step elapsed since the last update (0..1).
      */
-    render() {
+    render(alpha = 1) {
         const ctx = this.ctx;
-        if (!ctx) return;
+        if (ctx && this.editor.active && !this.editor.playtesting) {
+            this.editor.render(ctx);
+            return;
+        }
+        if (ctx && this.online && !this.sim) {
+            ctx.clearRect(0, 0, Game.WIDTH, Game.HEIGHT);
+            ctx.fillStyle = Game.DEFAULT_PALETTE.background;
+            ctx.fillRect(0, 0, Game.WIDTH, Game.HEIGHT);
+            this.drawBanner(ctx, this.online.lobbyLines());
+            return;
+        }
+        if (!ctx || !this.sim) return;
+        const { crops, obstacles, powerUps, crows, players, levelConfig } = this.sim;
+        const palette = { ...Game.DEFAULT_PALETTE, ...levelConfig.palette };
 
         ctx.clearRect(0, 0, Game.WIDTH, Game.HEIGHT);
 
-        // field background (grid)
-        ctx.fillStyle = "#dff0d5";
+        // field background (grid), in the level's palette
+        ctx.fillStyle = palette.background;
         ctx.fillRect(0, 0, Game.WIDTH, Game.HEIGHT);
-        ctx.strokeStyle = "#c7e0bd";
+        ctx.strokeStyle = palette.grid;
         ctx.lineWidth = 1;
         for (let y = Game.TILE; y < Game.HEIGHT; y += Game.TILE) {
             ctx.beginPath(); ctx.moveTo(0, y); ctx.lineTo(Game.WIDTH, y); ctx.stroke();
@@ -433,16 +763,30 @@ export class Game {
         for (let x = Game.TILE; x < Game.WIDTH; x += Game.TILE) {
             ctx.beginPath(); ctx.moveTo(x, 0); ctx.lineTo(x, Game.HEIGHT); ctx.stroke();
         }
+        // crop beds from the level map
+        if (this.sim.map) {
+            ctx.fillStyle = "#b99a6b";
+            this.sim.map.cropBeds.forEach(([col, row]) => ctx.fillRect(col * Game.TILE + 1, row * Game.TILE + 1, Game.TILE - 2, Game.TILE - 2));
+        }
 
         // crops, obstacles, farmer
         // Q1.a: Arrow function in forEach; lexical binding keeps 'this' as Game, allowing ctx access without rebinding.
-        this.crops.forEach(c => c.draw(ctx));                                 // arrow #5
-        this.obstacles.forEach(o => o.draw(ctx));                             // arrow #6
+        crops.forEach(c => c.draw(ctx));                                      // arrow #5
+        obstacles.forEach(o => o.draw(ctx));                                  // arrow #6
+        if (this.showNav) {
+            this.sim.nav.drawDebug(ctx);
+            obstacles.forEach(o => o.drawHitboxes(ctx));
+        }
         // Q2.c: Render power-ups.
-        this.powerUps.forEach(p => p.draw(ctx));
+        powerUps.forEach(p => p.draw(ctx));
         // Q2.d: Render crows.
-        this.crows.forEach(crow => crow.draw(ctx));
-        this.player.draw(ctx);
+        // Online, crows and other farmers move between snapshots rather than steps.
+        const remoteAlpha = this.online ? this.online.alpha : alpha;
+        crows.forEach(crow => crow.drawInterpolated(ctx, remoteAlpha));
+        if (this.ghost && !this.replay) this.ghost.draw(ctx, alpha);
+        players.forEach((farmer, i) => farmer.drawInterpolated(ctx, this.online && i !== this.online.slot ? remoteAlpha : alpha));
+        if (this.showNav) players.forEach(farmer => farmer.drawHitboxes(ctx));
+        if (this.input.touch && !this.replay) this.input.touch.draw(ctx);
 
         // state labels
         ctx.fillStyle = "#333";
@@ -450,14 +794,68 @@ export class Game {
         if (this.state === Game.State.MENU) {
             ctx.fillText("Press Start to play", 20, 28);
         } else if (this.state === Game.State.PAUSED) {
-            ctx.fillText("Paused (press P to resume)", 20, 28);
+            ctx.fillText(`Paused (press ${this.keyFor("pause")} to resume)`, 20, 28);
         } else if (this.state === Game.State.GAME_OVER) {
             ctx.fillText("Time up! Press Reset to return to Menu", 20, 28);
         } else if (this.state === Game.State.WIN) {
             ctx.fillText("Harvest complete! Press Reset for another round", 20, 28);
         }
         // G1: Draw current level on screen.
-        ctx.fillText(`Level ${this.level}`, 20, 50);
+        ctx.fillText(levelConfig.name ? `Level ${this.level}: ${levelConfig.name}` : `Level ${this.level}`, 20, 50);
+        if (this.sim.fieldFullAt !== null && this.sim.clock.since(this.sim.fieldFullAt) < Game.FIELD_FULL_SECONDS) {
+            ctx.fillText("Field is full — spawns skipped until space frees up", 20, 72);
+        }
+
+        if (this.state === Game.State.LEVEL_COMPLETE) {
+            this.drawLevelSummary(ctx);
+        } else if (this.sim.mode === "versus" && (this.state === Game.State.GAME_OVER || this.state === Game.State.WIN)) {
+            this.drawBanner(ctx, [this.winnerText(), this.playerScoresText(), "Press Reset for a rematch"]);
+        } else if (this.state === Game.State.PLAYING && this.sim.levelElapsed < Game.INTRO_SECONDS && (levelConfig.name || levelConfig.intro)) {
+            this.drawBanner(ctx, [levelConfig.name || `Level ${this.level}`, levelConfig.intro || ""]);
+        }
+    }
+
+    /**
+     * Draws the between-level summary ("Level 2 cleared — 31 points in 42s") and what comes next.
+     * @param {CanvasRenderingContext2D} ctx - The 2D rendering context.
+     */
+    drawLevelSummary(ctx) {
+        const { level, name, points, seconds } = this.sim.lastSummary;
+        const next = this.sim.config.levels[level];
+        const title = `Level ${level}${name ? ` (${name})` : ""} cleared — ${points} points in ${Math.round(seconds)}s`;
+        const nextLine = `Next: Level ${level + 1}${next.name ? ` — ${next.name}` : ""}`;
+        const scores = this.sim.playerCount > 1 ? this.playerScoresText() : "";
+        this.drawBanner(ctx, [title, scores, nextLine, next.intro || "", `Press Start or ${this.keyFor("continue")} to continue`]);
+    }
+
+    /**
+     * Label of the first key bound to an action, for on-screen hints ("P", "Enter").
+     * @param {string} action - See ACTIONS in Bindings.js.
+     * @returns {string}
+     */
+    keyFor(action) {
+        return keyLabel(this.input.bindings.codesFor(action)[0], this.controls.layout);
+    }
+
+    /**
+     * Draws centered lines of text on a translucent panel over the field.
+     * @param {CanvasRenderingContext2D} ctx - The 2D rendering context.
+     * @param {string[]} lines - First line is drawn as the heading; empty lines are skipped.
+     */
+    drawBanner(ctx, lines) {
+        const shown = lines.filter(Boolean);
+        const height = 30 + shown.length * 28;
+        const top = (Game.HEIGHT - height) / 2;
+        ctx.save();
+        ctx.fillStyle = "rgba(255, 255, 255, 0.85)";
+        ctx.fillRect(Game.WIDTH / 2 - 300, top, 600, height);
+        ctx.fillStyle = "#333";
+        ctx.textAlign = "center";
+        shown.forEach((line, i) => {
+            ctx.font = i === 0 ? "bold 20px system-ui, sans-serif" : "16px system-ui, sans-serif";
+            ctx.fillText(line, Game.WIDTH / 2, top + 36 + i * 28);
+        });
+        ctx.restore();
     }
 
     /**
@@ -465,6 +863,7 @@ export class Game {
      */
     dispose() {
         this.input.dispose();
+        this.editor.dispose();
         window.removeEventListener("resize", this._onResize);
     }
 }
\ No newline at end of file
@@ -0,0 +1,101 @@
+/**
+ * GamepadInput reads a controller through the browser Gamepad API (standard mapping): the left stick
+ * as an analog movement vector, the d-pad as a digital fallback, and Start to pause.
+ * Controllers can be plugged in or out at any time; the first one connected is used.
+ */
+export class GamepadInput {
+    static DEAD_ZONE = 0.2;  // stick tilt ignored, as a fraction of full tilt
+    static PRECISION = 100;  // stick values are rounded to 1/100, so recordings stay short and replay exactly
+    static BUTTONS = Object.freeze({ START: 9, UP: 12, DOWN: 13, LEFT: 14, RIGHT: 15 });
+
+    /**
+     * Creates a gamepad reader and starts listening for controllers.
+     * @param {Game} game - The game instance for pause toggling.
+     * @param {Object} [options]
+     * @param {number} [options.deadZone] - Stick dead zone, 0..1.
+     */
+    constructor(game, { deadZone = GamepadInput.DEAD_ZONE } = {}) {
+        this.game = game;
+        this.deadZone = deadZone;
+        this.index = null;
+        // Movement vector {x, y} (length up to 1) while the stick or d-pad is used, else null.
+        this.move = null;
+        this.startHeld = false;
+        this._onConnected = this.onConnected.bind(this);
+        this._onDisconnected = this.onDisconnected.bind(this);
+        window.addEventListener("gamepadconnected", this._onConnected);
+        window.addEventListener("gamepaddisconnected", this._onDisconnected);
+    }
+
+    /**
+     * Uses a newly connected controller if none is in use.
+     * @param {GamepadEvent} e
+     */
+    onConnected(e) {
+        if (this.index === null) this.index = e.gamepad.index;
+    }
+
+    /**
+     * Drops the controller in use when it is unplugged, switching to another connected one if any.
+     * @param {GamepadEvent} e
+     */
+    onDisconnected(e) {
+        if (e.gamepad.index !== this.index) return;
+        this.index = null;
+        this.move = null;
+        this.startHeld = false;
+        const other = this.pads().find(pad => pad && pad.connected);
+        if (other) this.index = other.index;
+    }
+
+    /**
+     * Connected controllers as reported by the browser.
+     * @returns {(Gamepad|null)[]}
+     */
+    pads() {
+        return navigator.getGamepads ? [...navigator.getGamepads()] : [];
+    }
+
+    /**
+     * Applies the radial dead zone, rescaling the rest of the tilt to 0..1.
+     * @param {number} x - Raw stick axis.
+     * @param {number} y - Raw stick axis.
+     * @returns {{x: number, y: number}|null}
+     */
+    stick(x, y) {
+        const tilt = Math.hypot(x, y);
+        if (tilt <= this.deadZone) return null;
+        const scale = Math.min(1, (tilt - this.deadZone) / (1 - this.deadZone)) / tilt;
+        const round = v => Math.round(v * scale * GamepadInput.PRECISION) / GamepadInput.PRECISION;
+        const move = { x: round(x), y: round(y) };
+        return move.x || move.y ? move : null;
+    }
+
+    /**
+     * Reads the controller; call once per frame (the Gamepad API has no input events).
+     */
+    poll() {
+        const pad = this.index === null ? null : this.pads()[this.index];
+        if (!pad) {
+            this.move = null;
+            return;
+        }
+        const { START, UP, DOWN, LEFT, RIGHT } = GamepadInput.BUTTONS;
+        const pressed = button => Boolean(pad.buttons[button] && pad.buttons[button].pressed);
+
+        const start = pressed(START);
+        if (start && !this.startHeld) this.game.togglePause();
+        this.startHeld = start;
+
+        const dpad = { x: pressed(RIGHT) - pressed(LEFT), y: pressed(DOWN) - pressed(UP) };
+        this.move = this.stick(pad.axes[0] || 0, pad.axes[1] || 0) || (dpad.x || dpad.y ? dpad : null);
+    }
+
+    /**
+     * Cleans up event listeners.
+     */
+    dispose() {
+        window.removeEventListener("gamepadconnected", this._onConnected);
+        window.removeEventListener("gamepaddisconnected", this._onDisconnected);
+    }
+}
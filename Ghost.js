@@ -0,0 +1,136 @@
+import { ReplayPlayer, parseReplay } from './Replay.js';
+import { Random } from './Random.js';
+
+/**
+ * localStorage key prefix for stored best runs.
+ */
+const STORAGE_PREFIX = "farmer-harvest:ghost:";
+
+/**
+ * Short id for a set of levels, so best runs recorded against other level configs are not mixed up.
+ * @param {Object} config - Parsed levels config.
+ * @returns {string}
+ */
+export const levelSetId = config => Random.hash(JSON.stringify(config.levels)).toString(36);
+
+/**
+ * Orders two finished runs: a win beats a loss, then higher score, then fewer steps.
+ * @param {Object} a - Replay data with a result.
+ * @param {Object} b - Replay data with a result.
+ * @returns {boolean} True if run a is better than run b.
+ */
+export function isBetterRun(a, b) {
+    const aWin = a.result.state === "WIN", bWin = b.result.state === "WIN";
+    if (aWin !== bWin) return aWin;
+    if (a.result.score !== b.result.score) return a.result.score > b.result.score;
+    return a.ticks < b.ticks;
+}
+
+/**
+ * Keeps the best recorded run per level set and seed in localStorage.
+ */
+export class GhostStore {
+    /**
+     * Creates a store.
+     * @param {Storage} [storage] - Defaults to window.localStorage when available.
+     */
+    constructor(storage = globalThis.localStorage) {
+        this.storage = storage;
+    }
+
+    /**
+     * Storage key for a seed and level set.
+     * @param {number|string} seed
+     * @param {Object} config
+     * @returns {string}
+     */
+    key(seed, config) {
+        return `${STORAGE_PREFIX}${levelSetId(config)}:${seed}`;
+    }
+
+    /**
+     * Loads the best stored run for a seed and level set.
+     * @param {number|string} seed
+     * @param {Object} config
+     * @returns {Object|null} Replay data, or null if none (or it is from an old replay version).
+     */
+    load(seed, config) {
+        if (!this.storage) return null;
+        try {
+            const raw = this.storage.getItem(this.key(seed, config));
+            return raw ? parseReplay(JSON.parse(raw)) : null;
+        } catch (error) {
+            console.warn('Ignoring stored ghost run:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Stores a finished run if it beats the stored one.
+     * @param {Object} run - Replay data with a result.
+     * @returns {boolean} True if the run was stored.
+     */
+    saveIfBest(run) {
+        if (!this.storage) return false;
+        const best = this.load(run.seed, run.config);
+        if (best && !isBetterRun(run, best)) return false;
+        try {
+            this.storage.setItem(this.key(run.seed, run.config), JSON.stringify(run));
+            return true;
+        } catch (error) {
+            console.warn('Could not store ghost run:', error);
+            return false;
+        }
+    }
+}
+
+/**
+ * Ghost replays a stored run in lockstep with the live game and draws its farmer translucently.
+ * It runs in its own simulation, so it never collides with or collects from the live world.
+ */
+export class Ghost {
+    static ALPHA = 0.4;
+
+    /**
+     * Creates a ghost at the first step of a run.
+     * @param {Object} run - Replay data of the run to race.
+     */
+    constructor(run) {
+        this.player = new ReplayPlayer(run);
+    }
+
+    /**
+     * The ghost's farmer (a regular Farmer, so it walks with the same sprite animation).
+     * @returns {Farmer}
+     */
+    get farmer() {
+        return this.player.sim.player;
+    }
+
+    /**
+     * Ghost score at the current step.
+     * @returns {number}
+     */
+    get score() {
+        return this.player.sim.score;
+    }
+
+    /**
+     * Advances the ghost by one step; it stays at its final position once the run is over.
+     */
+    step() {
+        this.player.step();
+    }
+
+    /**
+     * Draws the ghost farmer.
+     * @param {CanvasRenderingContext2D} ctx - The 2D rendering context.
+     * @param {number} alpha - Interpolation fraction, as for live entities.
+     */
+    draw(ctx, alpha) {
+        ctx.save();
+        ctx.globalAlpha = Ghost.ALPHA;
+        this.farmer.drawInterpolated(ctx, alpha);
+        ctx.restore();
+    }
+}
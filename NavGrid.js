@@ -0,0 +1,227 @@
+import { WIDTH, HEIGHT, TILE, clamp } from './Utils.js';
+
+const COLS = WIDTH / TILE;
+const ROWS = HEIGHT / TILE;
+
+/**
+ * 4-way neighbour offsets.
+ */
+const STEPS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+/**
+ * Cell index of a [column, row] tile.
+ * @param {number} col
+ * @param {number} row
+ * @returns {number}
+ */
+const cellKey = (col, row) => row * COLS + col;
+
+/**
+ * Navigation grid on the TILE grid for anything that walks (the farmer, bots, companions).
+ * A cell is blocked when an agent-sized box centered on it would touch an obstacle, so scarecrows,
+ * fences and ponds all block. The simulation rebuilds it whenever the obstacles change (each level).
+ */
+export class NavGrid {
+    static COLS = COLS;
+    static ROWS = ROWS;
+    static MAX_DEBUG_PATHS = 8; // recent paths kept for the debug overlay
+
+    /**
+     * Creates a grid with every cell open.
+     */
+    constructor() {
+        this.blocked = new Uint8Array(COLS * ROWS);
+        this.recentPaths = [];
+    }
+
+    /**
+     * Recomputes blocked cells.
+     * @param {SpatialHash} obstacles - Spatial index of the obstacles.
+     * @param {{w: number, h: number}} agent - Size of the walker (the farmer's box).
+     */
+    rebuild(obstacles, agent) {
+        for (let row = 0; row < ROWS; row++) {
+            for (let col = 0; col < COLS; col++) {
+                const box = {
+                    x: clamp(col * TILE + (TILE - agent.w) / 2, 0, WIDTH - agent.w),
+                    y: clamp(row * TILE + (TILE - agent.h) / 2, 0, HEIGHT - agent.h),
+                    w: agent.w,
+                    h: agent.h
+                };
+                this.blocked[cellKey(col, row)] = obstacles.queryRect(box).length ? 1 : 0; // by obstacle hitboxes
+            }
+        }
+        this.recentPaths = [];
+    }
+
+    /**
+     * Whether a cell is inside the field and not blocked.
+     * @param {number} col
+     * @param {number} row
+     * @returns {boolean}
+     */
+    walkable(col, row) {
+        return col >= 0 && row >= 0 && col < COLS && row < ROWS && !this.blocked[cellKey(col, row)];
+    }
+
+    /**
+     * Cell under a point.
+     * @param {number} x
+     * @param {number} y
+     * @returns {number[]} [column, row], clamped to the field.
+     */
+    cellAt(x, y) {
+        return [clamp(Math.floor(x / TILE), 0, COLS - 1), clamp(Math.floor(y / TILE), 0, ROWS - 1)];
+    }
+
+    /**
+     * Cell under the center of an entity.
+     * @param {Entity} e
+     * @returns {number[]} [column, row]
+     */
+    cellOf(e) {
+        return this.cellAt(e.x + e.w / 2, e.y + e.h / 2);
+    }
+
+    /**
+     * Center point of a cell, in pixels.
+     * @param {number[]} cell - [column, row]
+     * @returns {{x: number, y: number}}
+     */
+    cellCenter([col, row]) {
+        return { x: (col + 0.5) * TILE, y: (row + 0.5) * TILE };
+    }
+
+    /**
+     * Cells reachable from a start cell (4-way flood fill over walkable cells; the start always counts).
+     * @param {number[]} start - [column, row]
+     * @returns {Uint8Array} 1 for reachable cells, by cell index (row * COLS + col).
+     */
+    reachable([startCol, startRow]) {
+        const reached = new Uint8Array(COLS * ROWS);
+        const queue = [[startCol, startRow]];
+        reached[cellKey(startCol, startRow)] = 1;
+        while (queue.length) {
+            const [col, row] = queue.pop();
+            for (const [dc, dr] of STEPS) {
+                const c = col + dc, r = row + dr;
+                if (!this.walkable(c, r) || reached[cellKey(c, r)]) continue;
+                reached[cellKey(c, r)] = 1;
+                queue.push([c, r]);
+            }
+        }
+        return reached;
+    }
+
+    /**
+     * Shortest 4-way path between two cells (A* with a Manhattan heuristic).
+     * The start cell may be blocked (an agent squeezed against an obstacle); the goal may not.
+     * @param {number[]} start - [column, row]
+     * @param {number[]} goal - [column, row]
+     * @returns {number[][]|null} Cells from start to goal inclusive, or null if the goal cannot be reached.
+     */
+    findPath(start, goal) {
+        const [gc, gr] = goal;
+        if (!this.walkable(gc, gr)) return null;
+        const startKey = cellKey(start[0], start[1]), goalKey = cellKey(gc, gr);
+        const cost = new Float64Array(COLS * ROWS).fill(Infinity);
+        const from = new Int32Array(COLS * ROWS).fill(-1);
+        const closed = new Uint8Array(COLS * ROWS);
+        const heuristic = key => Math.abs(key % COLS - gc) + Math.abs(Math.floor(key / COLS) - gr);
+        // Binary min-heap of [priority, key].
+        const open = [];
+        const push = item => {
+            open.push(item);
+            for (let i = open.length - 1; i > 0;) {
+                const parent = (i - 1) >> 1;
+                if (open[parent][0] <= open[i][0]) break;
+                [open[parent], open[i]] = [open[i], open[parent]];
+                i = parent;
+            }
+        };
+        const pop = () => {
+            const top = open[0], last = open.pop();
+            if (open.length) {
+                open[0] = last;
+                for (let i = 0; ;) {
+                    const l = 2 * i + 1, r = l + 1;
+                    let m = i;
+                    if (l < open.length && open[l][0] < open[m][0]) m = l;
+                    if (r < open.length && open[r][0] < open[m][0]) m = r;
+                    if (m === i) break;
+                    [open[m], open[i]] = [open[i], open[m]];
+                    i = m;
+                }
+            }
+            return top;
+        };
+
+        cost[startKey] = 0;
+        push([heuristic(startKey), startKey]);
+        while (open.length) {
+            const [, key] = pop();
+            if (closed[key]) continue;
+            if (key === goalKey) return this.remember(this.trace(from, goalKey));
+            closed[key] = 1;
+            const col = key % COLS, row = Math.floor(key / COLS);
+            for (const [dc, dr] of STEPS) {
+                const c = col + dc, r = row + dr;
+                if (!this.walkable(c, r)) continue;
+                const next = cellKey(c, r);
+                if (closed[next] || cost[key] + 1 >= cost[next]) continue;
+                cost[next] = cost[key] + 1;
+                from[next] = key;
+                push([cost[next] + heuristic(next), next]);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Walks the came-from links back from the goal.
+     * @param {Int32Array} from - Came-from cell index by cell index.
+     * @param {number} goalKey
+     * @returns {number[][]} Cells from start to goal.
+     */
+    trace(from, goalKey) {
+        const path = [];
+        for (let key = goalKey; key !== -1; key = from[key]) path.push([key % COLS, Math.floor(key / COLS)]);
+        return path.reverse();
+    }
+
+    /**
+     * Keeps a computed path for the debug overlay.
+     * @param {number[][]} path
+     * @returns {number[][]} The same path.
+     */
+    remember(path) {
+        this.recentPaths.push(path);
+        if (this.recentPaths.length > NavGrid.MAX_DEBUG_PATHS) this.recentPaths.shift();
+        return path;
+    }
+
+    /**
+     * Debug overlay: blocked cells shaded, recent paths as lines.
+     * @param {CanvasRenderingContext2D} ctx - The 2D rendering context.
+     */
+    drawDebug(ctx) {
+        ctx.save();
+        ctx.fillStyle = "rgba(214, 48, 49, 0.25)";
+        for (let row = 0; row < ROWS; row++) {
+            for (let col = 0; col < COLS; col++) {
+                if (this.blocked[cellKey(col, row)]) ctx.fillRect(col * TILE, row * TILE, TILE, TILE);
+            }
+        }
+        ctx.strokeStyle = "rgba(41, 128, 185, 0.8)";
+        ctx.lineWidth = 2;
+        this.recentPaths.forEach(path => {
+            ctx.beginPath();
+            path.forEach((cell, i) => {
+                const { x, y } = this.cellCenter(cell);
+                if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+            });
+            ctx.stroke();
+        });
+        ctx.restore();
+    }
+}
@@ -0,0 +1,191 @@
+/**
+ * Online play protocol, shared by the Node server (server.js, Room.js) and the browser client (Online.js).
+ *
+ * Messages are JSON objects with a `type`:
+ *   client → server: hello { protocol, name }, input { seq, input }, start { mode }, pause, continue, reset
+ *   server → client: welcome { protocol, id, room, config, tickRate, snapshotRate }, lobby { members, playing },
+ *                    start { seed, mode, players, slots }, snapshot { ... }, error { message }
+ *
+ * The server owns the only real Simulation. Clients keep a copy of the world built from snapshots
+ * (applySnapshot) to render it, and predict their own farmer from their inputs in between.
+ */
+import { Crop } from './Crop.js';
+import { PowerUp } from './PowerUp.js';
+import { Scarecrow, Fence, Pond, Crow } from './Obstacle.js';
+import { TileMap } from './TileMap.js';
+
+export const PROTOCOL_VERSION = 1;
+export const SNAPSHOT_RATE = 20;  // snapshots per second sent by the server
+export const MAX_PLAYERS = 4;     // farmers per online game; later arrivals watch
+
+/**
+ * Obstacle classes by the kind name snapshots carry.
+ */
+const OBSTACLES = Object.freeze({ scarecrow: Scarecrow, fence: Fence, pond: Pond });
+
+/**
+ * Kind name of an obstacle.
+ * @param {Entity} obstacle
+ * @returns {string}
+ */
+const obstacleKind = obstacle => Object.keys(OBSTACLES).find(kind => obstacle instanceof OBSTACLES[kind]);
+
+/**
+ * Parses a message, or returns null if it is not a JSON object with a type.
+ * @param {string} text
+ * @returns {Object|null}
+ */
+export function parseMessage(text) {
+    try {
+        const message = JSON.parse(text);
+        return message && typeof message.type === "string" ? message : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Whether a packed step input (see encodeInput in Replay.js) is well formed: a mask of the four arrow
+ * keys, or an [x, y] vector no longer than 1, so a client cannot walk faster than the rules allow.
+ * @param {*} input
+ * @returns {boolean}
+ */
+export function isValidInput(input) {
+    if (Number.isInteger(input)) return input >= 0 && input < 16;
+    return Array.isArray(input) && input.length === 2 && input.every(Number.isFinite)
+        && Math.hypot(input[0], input[1]) <= 1.01;
+}
+
+/**
+ * Serializable state of a simulation for clients: everything drawn or shown in the HUD.
+ * @param {Simulation} sim
+ * @param {number[]} acks - Per player, the sequence number of the last input applied.
+ * @param {Object} [options]
+ * @param {boolean} [options.obstacles] - Include the level's obstacles (new level, or a client that just joined).
+ * @returns {Object} A snapshot message.
+ */
+export function encodeSnapshot(sim, acks, { obstacles = false } = {}) {
+    const snapshot = {
+        type: "snapshot",
+        tick: sim.ticks,
+        time: sim.clock.time,
+        state: sim.state,
+        level: sim.level,
+        score: sim.score,
+        goal: sim.goal,
+        levelStartedAt: sim.levelStartedAt,
+        levelEndsAt: sim.levelEndsAt,
+        fieldFullAt: sim.fieldFullAt,
+        summary: sim.lastSummary,
+        players: sim.players.map((farmer, i) => ({
+            x: farmer.x,
+            y: farmer.y,
+            speed: farmer.speed,
+            score: farmer.score,
+            row: farmer.currentRow,
+            frame: farmer.currentFrame,
+            moving: farmer.isMoving,
+            ack: acks[i] || 0,
+            effects: farmer.effects.list().map(e => [e.kind, e.remaining, e.stacks])
+        })),
+        crops: sim.crops.map(c => [c.id, c.x, c.y, c.type, c.plantedAt]),
+        powerUps: sim.powerUps.map(p => [p.id, p.x, p.y, p.kind]),
+        crows: sim.crows.map(c => [c.id, c.x, c.y, c.angle, c.swooping])
+    };
+    if (obstacles) snapshot.obstacles = sim.obstacles.map(o => [obstacleKind(o), o.x, o.y]);
+    return snapshot;
+}
+
+/**
+ * Brings an entity list in line with snapshot rows ([id, ...]): keeps entities by id, creates new
+ * ones and drops the ones that are gone, and reindexes the list.
+ * @param {Simulation} sim
+ * @param {"crops"|"powerUps"|"crows"} kind
+ * @param {Array[]} rows
+ * @param {function(Array): Entity} create - Makes the entity of a new row.
+ * @param {function(Entity, Array): void} update - Copies a row onto an entity.
+ */
+function syncEntities(sim, kind, rows, create, update) {
+    const byId = new Map(sim[kind].map(e => [e.id, e]));
+    sim[kind] = rows.map(row => {
+        let e = byId.get(row[0]);
+        if (!e) {
+            e = create(row);
+            e.id = row[0];
+        }
+        update(e, row);
+        return e;
+    });
+    const index = sim.spatial[kind];
+    index.clear();
+    sim[kind].forEach(e => index.insert(e));
+}
+
+/**
+ * Copies a snapshot onto a client's copy of the simulation. Moving things (crows, other farmers)
+ * keep their previous position, so they can be drawn interpolated between the last two snapshots.
+ * @param {Simulation} sim - The client's world (never stepped; see Online.js).
+ * @param {Object} snapshot - A snapshot message.
+ * @param {number} [local] - Player index the client predicts itself; its farmer is not touched.
+ */
+export function applySnapshot(sim, snapshot, local = -1) {
+    if (snapshot.obstacles) {
+        sim.level = snapshot.level;
+        const levelConfig = sim.levelConfig;
+        sim.map = levelConfig.map ? new TileMap(levelConfig.map) : null;
+        sim.obstacles = snapshot.obstacles.map(([kind, x, y]) => new OBSTACLES[kind](x, y));
+        sim.spatial.obstacles.clear();
+        sim.obstacles.forEach(o => sim.spatial.obstacles.insert(o));
+        sim.nav.rebuild(sim.spatial.obstacles, sim.player);
+    }
+    Object.assign(sim, {
+        ticks: snapshot.tick,
+        state: snapshot.state,
+        level: snapshot.level,
+        score: snapshot.score,
+        goal: snapshot.goal,
+        levelStartedAt: snapshot.levelStartedAt,
+        levelEndsAt: snapshot.levelEndsAt,
+        fieldFullAt: snapshot.fieldFullAt,
+        lastSummary: snapshot.summary
+    });
+    sim.clock.time = snapshot.time;
+
+    syncEntities(sim, "crops", snapshot.crops,
+        ([, x, y, type, plantedAt]) => new Crop(x, y, type, sim.rng, sim.config.crops[type], plantedAt),
+        (crop, [, x, y]) => {
+            crop.x = x;
+            crop.y = y;
+            crop.update(0, sim);
+        });
+    syncEntities(sim, "powerUps", snapshot.powerUps,
+        ([, x, y, kind]) => new PowerUp(x, y, sim.rng, kind),
+        (powerUp, [, x, y]) => {
+            powerUp.x = x;
+            powerUp.y = y;
+            powerUp.update(0, sim);
+        });
+    syncEntities(sim, "crows", snapshot.crows,
+        ([, x, y]) => new Crow(x, y, sim.rng),
+        (crow, [, x, y, angle, swooping]) => {
+            crow.savePosition();
+            Object.assign(crow, { x, y, angle, swooping });
+        });
+
+    snapshot.players.forEach((state, i) => {
+        const farmer = sim.players[i];
+        if (!farmer) return;
+        farmer.score = state.score;
+        farmer.effects.restore(state.effects, snapshot.time);
+        if (i === local) return;
+        farmer.savePosition();
+        Object.assign(farmer, {
+            x: state.x,
+            y: state.y,
+            speed: state.speed,
+            currentRow: state.row,
+            currentFrame: state.frame,
+            isMoving: state.moving
+        });
+    });
+}
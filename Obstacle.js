@@ -1,5 +1,20 @@
 import { Entity } from './BaseEntity.js';
-import { WIDTH, HEIGHT, clamp } from './Utils.js'; // G3/G2: Import shared utils to fix ReferenceErrors in Crow.
+import { WIDTH, HEIGHT, TILE, clamp, overlaps } from './Utils.js'; // G3/G2: Import shared utils to fix ReferenceErrors in Crow.
+
+/**
+ * Center point of an entity's box.
+ * @param {Entity} e
+ * @returns {{x: number, y: number}}
+ */
+const center = e => ({ x: e.x + e.w / 2, y: e.y + e.h / 2 });
+
+/**
+ * Heading from one point to another, in radians.
+ * @param {{x: number, y: number}} from
+ * @param {{x: number, y: number}} to
+ * @returns {number}
+ */
+const headingTo = (from, to) => Math.atan2(to.y - from.y, to.x - from.x);
 
 /**
  * Scarecrow class represents static obstacles.
@@ -11,7 +26,15 @@ export class Scarecrow extends Entity {
      * @param {number} x - Initial x position.
      * @param {number} y - Initial y position.
      */
-    constructor(x, y) { super(x, y, 26, 46); }
+    constructor(x, y) {
+        super(x, y, 26, 46);
+        // Collides where it is drawn (pole, head, arms), not across the empty corners of its box.
+        this.shape = [
+            { x: 10, y: 0, w: 6, h: 46 },  // pole
+            { x: 3, y: 0, w: 20, h: 20 },  // head
+            { x: 0, y: 16, w: 26, h: 4 }   // arms
+        ];
+    }
 
     /**
      * Draws the scarecrow (pole, head, arms).
@@ -28,47 +51,224 @@ export class Scarecrow extends Entity {
     }
 }
 
+/**
+ * Fence class represents one tile of wooden fence from a level map.
+ * @extends Entity
+ */
+export class Fence extends Entity {
+    /**
+     * Creates a new Fence tile.
+     * @param {number} x - Tile x position.
+     * @param {number} y - Tile y position.
+     */
+    constructor(x, y) { super(x, y, TILE, TILE); }
+
+    /**
+     * Draws the fence (two posts and two rails).
+     * @param {CanvasRenderingContext2D} ctx - The 2D rendering context.
+     */
+    draw(ctx) {
+        const { x, y, w, h } = this;
+        ctx.fillStyle = "#9b7653";
+        ctx.fillRect(x + 3, y + 2, 5, h - 4);         // left post
+        ctx.fillRect(x + w - 8, y + 2, 5, h - 4);     // right post
+        ctx.fillStyle = "#b08a5e";
+        ctx.fillRect(x, y + 7, w, 4);                 // top rail
+        ctx.fillRect(x, y + h - 12, w, 4);            // bottom rail
+    }
+}
+
+/**
+ * Pond class represents one tile of water from a level map.
+ * @extends Entity
+ */
+export class Pond extends Entity {
+    /**
+     * Creates a new Pond tile.
+     * @param {number} x - Tile x position.
+     * @param {number} y - Tile y position.
+     */
+    constructor(x, y) { super(x, y, TILE, TILE); }
+
+    /**
+     * Draws the water with a small highlight.
+     * @param {CanvasRenderingContext2D} ctx - The 2D rendering context.
+     */
+    draw(ctx) {
+        const { x, y, w, h } = this;
+        ctx.fillStyle = "#5b9bd5";
+        ctx.fillRect(x, y, w, h);
+        ctx.strokeStyle = "#9cc6ea";
+        ctx.lineWidth = 2;
+        ctx.beginPath(); ctx.moveTo(x + 6, y + h / 2); ctx.lineTo(x + 14, y + h / 2); ctx.stroke(); // ripple
+    }
+}
+
 /**
  * Crow class represents moving obstacles that penalize on collision.
+ * What a crow does beyond wandering depends on the behaviors its level enables (see BEHAVIORS).
  * @extends Entity
  */
 export class Crow extends Entity {
+    /**
+     * Behaviors a level can list in its "crowBehaviors" config, from highest to lowest priority
+     * (wandering is what a crow does when nothing else applies):
+     *   flee  - turn away from scarecrows within SCARE_RADIUS;
+     *   swoop - now and then dive at the farmer when within SWOOP_RANGE;
+     *   steal - fly to the nearest ripe crop within SIGHT and eat it;
+     *   flock - fly loosely with crows within FLOCK_RADIUS;
+     *   wander - occasional random turns.
+     */
+    static BEHAVIORS = Object.freeze(["flee", "swoop", "steal", "flock", "wander"]);
+    static SCARE_RADIUS = 110;
+    static SIGHT = 180;
+    static FLOCK_RADIUS = 120;
+    static SEPARATION = 30;           // flockmates closer than this push apart
+    static SWOOP_RANGE = 240;
+    static SWOOP_SECONDS = 1.2;
+    static SWOOP_COOLDOWN = 6;        // seconds between the starts of two swoops
+    static SWOOP_SPEED = 1.8;         // speed multiplier while swooping
+    static TURN_RATE = 4;             // radians per second when steering
+
     /**
      * Creates a new Crow.
      * @param {number} x - Initial x position.
      * @param {number} y - Initial y position.
+     * @param {Random} rng - The simulation's seeded generator.
+     * @param {string[]} [behaviors=["wander"]] - Enabled behaviors (see Crow.BEHAVIORS).
      */
     // Q2.d: New Crow class for moving obstacles that penalize on collision.
-    constructor(x, y) {
+    constructor(x, y, rng, behaviors = ["wander"]) {
         super(x, y, 20, 20);
-        this.vx = (Math.random() - 0.5) * 100; // random direction
-        this.vy = (Math.random() - 0.5) * 100;
+        this.vx = (rng.next() - 0.5) * 100; // random direction
+        this.vy = (rng.next() - 0.5) * 100;
         this.color = "#000";
         this.maxSpeed = 120;
-        this.angle = Math.random() * Math.PI * 2;
+        this.angle = rng.next() * Math.PI * 2;
+        this.behaviors = behaviors;
+        this.target = null;          // crop being flown to (steal)
+        this.swoopUntil = -Infinity; // game clock times (swoop)
+        this.nextSwoopAt = 0;
+        this.swooping = false;       // as of the last update, for draw
+    }
+
+    /**
+     * Whether a behavior is enabled for this crow.
+     * @param {string} behavior
+     * @returns {boolean}
+     */
+    can(behavior) {
+        return this.behaviors.includes(behavior);
     }
 
     /**
-     * Updates crow position with wall bouncing.
+     * Whether the crow is in the middle of a swoop.
+     * @param {Simulation} game
+     * @returns {boolean}
+     */
+    isSwooping(game) {
+        return game.clock.time < this.swoopUntil;
+    }
+
+    /**
+     * Heading the crow's highest-priority active behavior wants.
+     * @param {Simulation} game
+     * @returns {number|null} Target heading in radians, or null to just wander.
+     */
+    steer(game) {
+        const here = center(this);
+        // Entities of a spatial index within a radius, nearest first.
+        const near = (index, radius) => index.queryRadius(here.x, here.y, radius)
+            .filter(e => e !== this)
+            .map(e => ({ e, d: Math.hypot(center(e).x - here.x, center(e).y - here.y) }))
+            .sort((a, b) => a.d - b.d);
+
+        if (this.can("flee")) {
+            const [scare] = near(game.spatial.obstacles, Crow.SCARE_RADIUS).filter(({ e }) => e instanceof Scarecrow);
+            if (scare) {
+                this.target = null;
+                return headingTo(center(scare.e), here);
+            }
+        }
+        if (this.can("swoop")) {
+            // the nearest farmer
+            const farmer = game.players.map(center)
+                .reduce((a, b) => Math.hypot(b.x - here.x, b.y - here.y) < Math.hypot(a.x - here.x, a.y - here.y) ? b : a);
+            const now = game.clock.time;
+            if (!this.isSwooping(game) && now >= this.nextSwoopAt
+                && Math.hypot(farmer.x - here.x, farmer.y - here.y) <= Crow.SWOOP_RANGE) {
+                this.swoopUntil = now + Crow.SWOOP_SECONDS;
+                this.nextSwoopAt = now + Crow.SWOOP_COOLDOWN;
+            }
+            if (this.isSwooping(game)) return headingTo(here, farmer);
+        }
+        if (this.can("steal")) {
+            if (!this.target || this.target.dead || this.target.stage !== "ripe") {
+                const [crop] = near(game.spatial.crops, Crow.SIGHT).filter(({ e }) => !e.dead && e.stage === "ripe");
+                this.target = crop ? crop.e : null;
+            }
+            if (this.target) return headingTo(here, center(this.target));
+        }
+        if (this.can("flock")) {
+            const mates = near(game.spatial.crows, Crow.FLOCK_RADIUS);
+            if (mates.length) {
+                // alignment + cohesion + separation, as a sum of direction vectors
+                let x = 0, y = 0;
+                mates.forEach(({ e, d }) => {
+                    const mate = center(e);
+                    x += Math.cos(e.angle) + (mate.x - here.x) / Crow.FLOCK_RADIUS;
+                    y += Math.sin(e.angle) + (mate.y - here.y) / Crow.FLOCK_RADIUS;
+                    if (d < Crow.SEPARATION && d > 0) {
+                        x -= (mate.x - here.x) / d * 2;
+                        y -= (mate.y - here.y) / d * 2;
+                    }
+                });
+                if (x !== 0 || y !== 0) return Math.atan2(y, x);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Steers by the enabled behaviors, moves with wall bouncing, and eats a targeted crop on contact.
      * @param {number} dt - Delta time in seconds.
-     * @param {Game} game - The game instance (unused).
+     * @param {Simulation} game - The simulation: its seeded rng, clock and world.
      */
     update(dt, game) {
-        this.vx = Math.cos(this.angle) * this.maxSpeed;
-        this.vy = Math.sin(this.angle) * this.maxSpeed;
+        const heading = this.steer(game);
+        if (heading === null) {
+            // Change direction randomly
+            if (game.rng.next() < 0.01) {
+                this.angle += (game.rng.next() - 0.5) * Math.PI; // Randomly change flight direction
+            }
+        } else {
+            // Turn towards the heading, no faster than TURN_RATE.
+            const diff = Math.atan2(Math.sin(heading - this.angle), Math.cos(heading - this.angle));
+            this.angle += clamp(diff, -Crow.TURN_RATE * dt, Crow.TURN_RATE * dt);
+        }
+
+        this.swooping = this.isSwooping(game);
+        const speed = this.swooping ? this.maxSpeed * Crow.SWOOP_SPEED : this.maxSpeed;
+        this.vx = Math.cos(this.angle) * speed;
+        this.vy = Math.sin(this.angle) * speed;
         this.x += this.vx * dt;
         this.y += this.vy * dt;
 
-        // Change direction randomly 
-        if (Math.random() < 0.01) {
-            this.angle += (Math.random() - 0.5) * Math.PI; // Randomly change flight direction
+        // Bounce off walls: stay inside the field, and turn back only while heading out, so steering
+        // toward something past the edge cannot carry the crow out of play.
+        if (this.x <= 0 || this.x >= WIDTH - this.w) {
+            if (this.x <= 0 ? this.vx < 0 : this.vx > 0) this.angle = Math.PI - this.angle;
+            this.x = clamp(this.x, 0, WIDTH - this.w);
+        }
+        if (this.y <= 0 || this.y >= HEIGHT - this.h) {
+            if (this.y <= 0 ? this.vy < 0 : this.vy > 0) this.angle = -this.angle;
+            this.y = clamp(this.y, 0, HEIGHT - this.h);
         }
 
-        // Bounce off walls
-        if (this.x <= 0 || this.x >= WIDTH - this.w) this.angle = Math.PI - this.angle;
-        if (this.y <= 0 || this.y >= HEIGHT - this.h) this.angle = -this.angle;
-        // Q2.d: Remove if out of bounds (though bounce prevents this).
-        if (this.dead) return;
+        if (this.target && !this.target.dead && overlaps(this, this.target)) {
+            game.stealCrop(this.target);
+            this.target = null;
+        }
     }
 
     /**
@@ -78,7 +278,8 @@ export class Crow extends Entity {
     draw(ctx) {
         const { x, y, w, h } = this;
 
-        ctx.fillStyle = this.color;
+        // Swooping crows turn dark red.
+        ctx.fillStyle = this.swooping ? "#7b1010" : this.color;
 
         // Draw the body (ellipse)
         ctx.beginPath();
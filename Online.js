@@ -0,0 +1,227 @@
+import { Simulation } from './Simulation.js';
+import { encodeInput } from './Replay.js';
+import { PROTOCOL_VERSION, SNAPSHOT_RATE, parseMessage, applySnapshot } from './Net.js';
+
+/**
+ * OnlineClient plays the browser game in a room of server.js. The server runs the rules; the client
+ * sends its input every step and draws the server's snapshots into a copy of the world:
+ *  - its own farmer is predicted: moved at once from local input, then on each snapshot put back where
+ *    the server has it and moved again through the inputs the server has not applied yet (reconciliation);
+ *  - crows and the other farmers are drawn between the last two snapshots (interpolation).
+ */
+export class OnlineClient {
+    /**
+     * Connects to a room.
+     * @param {Game} game - The game it plays for (input, HUD, render loop).
+     * @param {Object} options
+     * @param {string} options.url - WebSocket URL of the server (ws://host:port/ws).
+     * @param {string} options.room - Room name; everyone in a room plays the same game.
+     * @param {string} [options.name] - Name shown to the others.
+     */
+    constructor(game, { url, room, name = "" }) {
+        this.game = game;
+        this.url = url;
+        this.room = room;
+        this.name = name;
+        // Set by the server's welcome.
+        this.id = null;
+        this.config = null;
+        this.snapshotSeconds = 1 / SNAPSHOT_RATE;
+        // Lobby: who is connected, and whether a game is on.
+        this.members = [];
+        // The copy of the current game's world (null in the lobby), and this client's player index in it
+        // (-1 when watching).
+        this.sim = null;
+        this.slot = -1;
+        // Inputs sent but not yet applied by the server, oldest first: { seq, input, dt }.
+        this.pending = [];
+        this.seq = 0;
+        this.snapshotAt = 0;
+        this.connected = false;
+        this.error = null;
+        this.connect();
+    }
+
+    /**
+     * Opens the WebSocket and introduces the player once it is open.
+     */
+    connect() {
+        this.socket = new WebSocket(`${this.url}?room=${encodeURIComponent(this.room)}`);
+        this.socket.addEventListener("open", () => {
+            this.connected = true;
+            this.send({ type: "hello", protocol: PROTOCOL_VERSION, name: this.name });
+        });
+        this.socket.addEventListener("message", e => this.onMessage(e.data));
+        this.socket.addEventListener("close", () => {
+            this.connected = false;
+            this.error = this.error || "Disconnected from server";
+            this.game.syncUI();
+        });
+    }
+
+    /**
+     * Sends a message if the connection is open.
+     * @param {Object} message
+     */
+    send(message) {
+        if (this.socket.readyState === WebSocket.OPEN) this.socket.send(JSON.stringify(message));
+    }
+
+    /**
+     * Handles a server message.
+     * @param {string} text
+     */
+    onMessage(text) {
+        const message = parseMessage(text);
+        if (!message) return;
+        switch (message.type) {
+            case "welcome":
+                this.id = message.id;
+                this.config = message.config;
+                this.snapshotSeconds = 1 / message.snapshotRate;
+                this.game.stepSeconds = 1 / message.tickRate;
+                this.game.run();
+                break;
+            case "lobby":
+                this.members = message.members;
+                if (!message.playing) this.leaveGame();
+                break;
+            case "start":
+                this.joinGame(message);
+                break;
+            case "snapshot":
+                this.receiveSnapshot(message);
+                break;
+            case "error":
+                console.warn('Server:', message.message);
+                this.error = message.message;
+                break;
+        }
+        this.game.syncUI();
+    }
+
+    /**
+     * Sets up the copy of a game the server started.
+     * @param {Object} message - start message: seed, mode, number of players and everyone's slot.
+     */
+    joinGame({ seed, mode, players, slots }) {
+        this.slot = slots[this.id] ?? -1;
+        this.sim = new Simulation(this.config, { seed, mode, players });
+        this.pending = [];
+        this.seq = 0;
+        this.game.sim = this.sim;
+    }
+
+    /**
+     * Back to the lobby.
+     */
+    leaveGame() {
+        this.sim = null;
+        this.slot = -1;
+        this.pending = [];
+        this.game.sim = null;
+    }
+
+    /**
+     * Copies a snapshot into the world and reconciles the predicted farmer with it.
+     * @param {Object} snapshot
+     */
+    receiveSnapshot(snapshot) {
+        if (!this.sim) return;
+        applySnapshot(this.sim, snapshot, this.slot);
+        this.snapshotAt = performance.now();
+        const farmer = this.sim.players[this.slot];
+        const state = snapshot.players[this.slot];
+        if (!farmer || !state) return;
+        this.pending = this.pending.filter(p => p.seq > state.ack);
+        farmer.x = state.x;
+        farmer.y = state.y;
+        farmer.speed = state.speed;
+        this.pending.forEach(({ input, dt }) => {
+            farmer.handleInput(input);
+            farmer.update(dt, this.sim);
+        });
+    }
+
+    /**
+     * One client step: sends the input and moves the own farmer ahead of the server; the clock and
+     * crop growth run on until the next snapshot corrects them.
+     * @param {number} dt - Step length in seconds.
+     * @param {{keys: Set<string>, move?: {x: number, y: number}|null}} source - Local input source.
+     */
+    update(dt, source) {
+        const sim = this.sim;
+        if (!sim || sim.state !== Simulation.State.PLAYING) return;
+        sim.clock.advance(dt);
+        sim.crops.forEach(c => c.update(dt, sim));
+        sim.powerUps.forEach(p => p.update(dt, sim));
+        const farmer = sim.players[this.slot];
+        if (!farmer) return;
+        const input = { keys: new Set(source.keys), move: source.move ? { ...source.move } : null };
+        this.seq++;
+        this.send({ type: "input", seq: this.seq, input: encodeInput(input) });
+        farmer.savePosition();
+        farmer.handleInput(input);
+        farmer.update(dt, sim);
+        this.pending.push({ seq: this.seq, input, dt });
+    }
+
+    /**
+     * How far rendering is between the last two snapshots (0..1), for crows and other farmers.
+     * @returns {number}
+     */
+    get alpha() {
+        return Math.min(1, (performance.now() - this.snapshotAt) / 1000 / this.snapshotSeconds);
+    }
+
+    /**
+     * Starts a game with everyone in the room, resumes it, or goes on to the next level.
+     * @param {string} mode - Requested mode; solo when alone, co-op or versus with others.
+     */
+    start(mode) {
+        this.send({ type: "start", mode });
+    }
+
+    /**
+     * Pauses or resumes the game for everyone.
+     */
+    togglePause() {
+        this.send({ type: "pause" });
+    }
+
+    /**
+     * Goes on from a level summary for everyone.
+     */
+    continueLevel() {
+        this.send({ type: "continue" });
+    }
+
+    /**
+     * Ends the game for everyone and returns the room to its lobby.
+     */
+    reset() {
+        this.send({ type: "reset" });
+    }
+
+    /**
+     * Status line: connection, room and who this player is.
+     * @returns {string}
+     */
+    statusText() {
+        if (!this.connected) return this.error || "Connecting…";
+        if (!this.sim) return `Online room "${this.room}" — ${this.members.length} connected`;
+        return `Online room "${this.room}", ${this.slot >= 0 ? `you are P${this.slot + 1}` : "watching"}`;
+    }
+
+    /**
+     * Lines for the lobby screen.
+     * @returns {string[]}
+     */
+    lobbyLines() {
+        return [
+            `Online room "${this.room}"`,
+            this.members.map(m => m.id === this.id ? `${m.name} (you)` : m.name).join(", "),
+            "Press Start when everyone is here"
+        ];
+    }
+}
@@ -0,0 +1,96 @@
+import { WIDTH, HEIGHT, TILE } from './Utils.js';
+
+const COLS = WIDTH / TILE;
+const ROWS = HEIGHT / TILE;
+
+/**
+ * Cell index of a [column, row] tile.
+ * @param {number} col
+ * @param {number} row
+ * @returns {number}
+ */
+const cellKey = (col, row) => row * COLS + col;
+
+/**
+ * Pixel box of a [column, row] tile.
+ * @param {number} col
+ * @param {number} row
+ * @returns {{x: number, y: number, w: number, h: number}}
+ */
+const cellBox = (col, row) => ({ x: col * TILE, y: row * TILE, w: TILE, h: TILE });
+
+/**
+ * Placement is the shared spawn placement service of a Simulation. It picks a free tile for a
+ * new crop, power-up or crow:
+ *  - never on a cell covered by an obstacle, crop or power-up;
+ *  - for crops and power-ups, only on cells the farmer can walk to or touch from a neighbouring
+ *    cell (flood fill over the simulation's NavGrid), so nothing spawns where it cannot be collected;
+ *  - for crows, at least the level's crowMinDistance away from the farmer.
+ * When no cell qualifies it returns null and the simulation reports the field as full.
+ */
+export class Placement {
+    /**
+     * Creates the service for a simulation; call rebuild() whenever the level layout changes.
+     * @param {Simulation} sim
+     */
+    constructor(sim) {
+        this.sim = sim;
+        this.spawnCells = [];
+        this.cropCells = [];
+    }
+
+    /**
+     * Tiles inside the field border: the spawn area of levels without a map.
+     * @returns {number[][]}
+     */
+    static borderCells() {
+        const out = [];
+        for (let row = 1; row < ROWS - 1; row++) {
+            for (let col = 1; col < COLS - 1; col++) out.push([col, row]);
+        }
+        return out;
+    }
+
+    /**
+     * Recomputes candidate spawn cells from the current map and obstacles.
+     */
+    rebuild() {
+        const { map, spatial } = this.sim;
+        const free = ([col, row]) => !spatial.obstacles.queryRect(cellBox(col, row)).length;
+        this.spawnCells = (map ? map.spawnableCells() : Placement.borderCells()).filter(free);
+        const beds = map ? map.cropBeds.filter(free) : [];
+        this.cropCells = beds.length ? beds : this.spawnCells;
+    }
+
+    /**
+     * Picks a spawn position for a new entity.
+     * @param {"crop"|"powerUp"|"crow"} kind - What is being placed.
+     * @returns {{x: number, y: number}|null} Top-left of the chosen tile, or null if the field is too full.
+     */
+    find(kind) {
+        const { spatial, players, levelConfig, rng, nav } = this.sim;
+        const cells = kind === "crop" ? this.cropCells : this.spawnCells;
+        let ok;
+        if (kind === "crow") {
+            // Crows fly, so reachability does not matter, only keeping clear of the farmers.
+            const min = levelConfig.crowMinDistance;
+            const centers = players.map(p => ({ x: p.x + p.w / 2, y: p.y + p.h / 2 }));
+            ok = ([col, row]) => centers.every(c => Math.hypot((col + 0.5) * TILE - c.x, (row + 0.5) * TILE - c.y) >= min);
+        } else {
+            const occupied = (col, row) => spatial.crops.queryRect(cellBox(col, row)).length > 0
+                || spatial.powerUps.queryRect(cellBox(col, row)).length > 0;
+            // Cells any farmer can walk to.
+            const reached = players.map(p => nav.reachable(nav.cellOf(p)));
+            // A farmer standing on a neighbouring cell still overlaps an item here, so that counts too.
+            const touched = (col, row) => [[0, 0], [1, 0], [-1, 0], [0, 1], [0, -1]].some(([dc, dr]) => {
+                const c = col + dc, r = row + dr;
+                return c >= 0 && r >= 0 && c < COLS && r < ROWS && reached.some(cells => cells[cellKey(c, r)] === 1);
+            });
+            ok = ([col, row]) => !occupied(col, row) && touched(col, row);
+        }
+        const candidates = cells.filter(ok);
+        if (!candidates.length) return null;
+        const [col, row] = rng.pick(candidates);
+        return { x: col * TILE, y: row * TILE };
+    }
+}
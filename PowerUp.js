@@ -1,49 +1,106 @@
 import { Entity } from './BaseEntity.js';
+import { EFFECTS } from './Effect.js';
 
 /**
- * PowerUp class represents speed boost collectibles.
+ * PowerUp class represents collectibles that put the farmer under a timed effect of their kind.
  * @extends Entity
  */
 export class PowerUp extends Entity {
+    /**
+     * Power-up kinds a level can list in its "powerUps" config: one per farmer effect (see Effect.js).
+     */
+    static KINDS = Object.freeze(Object.keys(EFFECTS));
+
+    /**
+     * Disc color of each kind.
+     */
+    static COLORS = Object.freeze({
+        speed: "#ffd700",
+        magnet: "#d63031",
+        repellent: "#3498db",
+        time: "#27ae60",
+        double_points: "#8e44ad",
+        scythe: "#7f8c8d"
+    });
+
     /**
      * Creates a new PowerUp.
      * @param {number} x - Initial x position.
      * @param {number} y - Initial y position.
+     * @param {Random} rng - The simulation's seeded generator.
+     * @param {string} [kind="speed"] - Power-up kind (see PowerUp.KINDS).
      */
-    // Q2.c: New PowerUp class for speed boost collectible.
-    constructor(x, y) {
+    // Q2.c: New PowerUp class for collectibles.
+    constructor(x, y, rng, kind = "speed") {
         super(x, y, 16, 16);
-        this.angle = Math.random() * Math.PI * 2;
+        this.kind = kind;
+        this.phase = rng.next() * Math.PI * 2;
+        this.angle = this.phase;
     }
 
     /**
-     * Updates the power-up's rotation animation.
+     * Updates the power-up's rotation animation from the game clock.
      * @param {number} dt - Delta time in seconds.
-     * @param {Game} game - The game instance (unused).
+     * @param {Simulation} game - The simulation, for its clock.
      */
     update(dt, game) {
-        this.angle += dt * 3;
+        this.angle = this.phase + game.clock.time * 3;
     }
 
     /**
-     * Draws the power-up as a spinning star.
+     * Draws the power-up as a disc in its kind's color with a symbol for the kind.
      * @param {CanvasRenderingContext2D} ctx - The 2D rendering context.
      */
     draw(ctx) {
         const { x, y, w, h } = this;
-        ctx.fillStyle = "#ffd700";
+        const cx = x + w / 2, cy = y + h / 2, r = w / 2;
+        ctx.fillStyle = PowerUp.COLORS[this.kind] || PowerUp.COLORS.speed;
         ctx.beginPath();
-        ctx.arc(x + w / 2, y + h / 2, w / 2, 0, Math.PI * 2);
+        ctx.arc(cx, cy, r, 0, Math.PI * 2);
         ctx.fill();
-        // Simple star-like points
-        ctx.strokeStyle = "#ffed4e";
+        ctx.strokeStyle = "#fff";
+        ctx.fillStyle = "#fff";
         ctx.lineWidth = 2;
-        for (let i = 0; i < 5; i++) {
-            const rad = (i * Math.PI * 2 / 5) + this.angle;
-            ctx.beginPath();
-            ctx.moveTo(x + w / 2, y);
-            ctx.lineTo(x + w / 2 + Math.cos(rad) * (w / 2 + 4), y + h / 2 + Math.sin(rad) * (w / 2 + 4));
-            ctx.stroke();
+        switch (this.kind) {
+            case "magnet": // horseshoe
+                ctx.beginPath();
+                ctx.arc(cx, cy - 1, r / 2, Math.PI, 0, true);
+                ctx.stroke();
+                break;
+            case "repellent": // pulsing ring
+                ctx.beginPath();
+                ctx.arc(cx, cy, r + 3 + Math.sin(this.angle) * 2, 0, Math.PI * 2);
+                ctx.strokeStyle = PowerUp.COLORS.repellent;
+                ctx.stroke();
+                break;
+            case "time": // clock hand sweeping round
+                ctx.beginPath();
+                ctx.moveTo(cx, cy);
+                ctx.lineTo(cx + Math.cos(this.angle) * (r - 2), cy + Math.sin(this.angle) * (r - 2));
+                ctx.stroke();
+                break;
+            case "double_points":
+                ctx.font = "bold 10px system-ui, sans-serif";
+                ctx.textAlign = "center";
+                ctx.fillText("×2", cx, cy + 4);
+                ctx.textAlign = "left";
+                break;
+            case "scythe": // curved blade on a handle
+                ctx.beginPath();
+                ctx.moveTo(cx - r / 2, cy + r / 2);
+                ctx.lineTo(cx + r / 3, cy - r / 2);
+                ctx.quadraticCurveTo(cx - r / 2, cy - r, cx - r / 2, cy - r / 4);
+                ctx.stroke();
+                break;
+            default: // speed: simple star-like points
+                ctx.strokeStyle = "#ffed4e";
+                for (let i = 0; i < 5; i++) {
+                    const rad = (i * Math.PI * 2 / 5) + this.angle;
+                    ctx.beginPath();
+                    ctx.moveTo(cx, y);
+                    ctx.lineTo(cx + Math.cos(rad) * (r + 4), cy + Math.sin(rad) * (r + 4));
+                    ctx.stroke();
+                }
         }
     }
 }
\ No newline at end of file
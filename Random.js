@@ -0,0 +1,78 @@
+/**
+ * Seedable pseudo-random number generator (mulberry32).
+ * The same seed always yields the same sequence, which makes runs reproducible.
+ */
+export class Random {
+    /**
+     * Creates a new generator.
+     * @param {number|string} seed - Numeric seed, or any string (hashed to 32 bits).
+     */
+    constructor(seed) {
+        this.seed = seed;
+        this.state = Random.hash(seed);
+    }
+
+    /**
+     * Hashes a seed to an unsigned 32-bit integer (FNV-1a over its string form).
+     * @param {number|string} seed
+     * @returns {number}
+     */
+    static hash(seed) {
+        const str = String(seed);
+        let h = 0x811c9dc5;
+        for (let i = 0; i < str.length; i++) {
+            h ^= str.charCodeAt(i);
+            h = Math.imul(h, 0x01000193);
+        }
+        return h >>> 0;
+    }
+
+    /**
+     * Makes a fresh seed for runs that did not ask for one.
+     * @returns {number}
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 0xffffffff) >>> 0;
+    }
+
+    /**
+     * Next float in [0, 1), like Math.random().
+     * @returns {number}
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Float in [lo, hi).
+     * @param {number} lo
+     * @param {number} hi
+     * @returns {number}
+     */
+    range(lo, hi) {
+        return lo + this.next() * (hi - lo);
+    }
+
+    /**
+     * Integer in [0, n).
+     * @param {number} n
+     * @returns {number}
+     */
+    int(n) {
+        return Math.floor(this.next() * n);
+    }
+
+    /**
+     * Random element of an array.
+     * @template T
+     * @param {T[]} items
+     * @returns {T}
+     */
+    pick(items) {
+        return items[this.int(items.length)];
+    }
+}
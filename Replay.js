@@ -0,0 +1,286 @@
+/**
+ * Replay recording and playback.
+ *
+ * A replay stores the seed, config, tick rate and player mode of a run plus the
+ * input of every simulation step: the keys held, or the analog movement vector
+ * of a gamepad, for each farmer. Because the simulation is deterministic for a given seed and input
+ * sequence, feeding that input back reproduces the run exactly.
+ */
+import { Simulation } from './Simulation.js';
+import { validateConfig } from './ConfigSchema.js';
+
+export const REPLAY_FORMAT = "farmer-harvest-replay";
+// Bump whenever the simulation rules change, so replays recorded under old rules are rejected instead of diverging.
+export const REPLAY_VERSION = 13;
+
+/**
+ * Keys the simulation reads, in bit order of the per-step input mask.
+ */
+export const REPLAY_KEYS = Object.freeze(["ArrowLeft", "ArrowRight", "ArrowUp", "ArrowDown"]);
+
+/**
+ * Packs a set of held keys into a bit mask.
+ * @param {Set<string>} keys
+ * @returns {number}
+ */
+export const encodeKeys = keys => REPLAY_KEYS.reduce((mask, key, bit) => keys.has(key) ? mask | (1 << bit) : mask, 0);
+
+/**
+ * Unpacks a bit mask into the held keys.
+ * @param {number} mask
+ * @returns {string[]}
+ */
+export const decodeKeys = mask => REPLAY_KEYS.filter((key, bit) => mask & (1 << bit));
+
+/**
+ * Packs the input of one step: the analog vector as [x, y] when there is one, else the key mask.
+ * @param {{keys: Set<string>, move?: {x: number, y: number}|null}} input
+ * @returns {number|number[]}
+ */
+export const encodeInput = input => input.move ? [input.move.x, input.move.y] : encodeKeys(input.keys);
+
+/**
+ * Sets an input source to a packed step input.
+ * @param {{keys: Set<string>, move?: {x: number, y: number}|null}} input
+ * @param {number|number[]} packed
+ */
+export const applyInput = (input, packed) => {
+    input.keys.clear();
+    if (Array.isArray(packed)) {
+        input.move = { x: packed[0], y: packed[1] };
+    } else {
+        input.move = null;
+        decodeKeys(packed).forEach(key => input.keys.add(key));
+    }
+};
+
+/**
+ * Whether two packed step inputs are the same.
+ * @param {number|number[]} a
+ * @param {number|number[]} b
+ * @returns {boolean}
+ */
+const sameInput = (a, b) => Array.isArray(a) ? Array.isArray(b) && a[0] === b[0] && a[1] === b[1] : a === b;
+
+/**
+ * Appends a packed step input to a run-length encoded stream.
+ * @param {Array} stream - [input, count, input, count, ...]
+ * @param {number|number[]} packed
+ */
+const appendInput = (stream, packed) => {
+    const last = stream.length - 2;
+    if (last >= 0 && sameInput(stream[last], packed)) {
+        stream[last + 1]++;
+    } else {
+        stream.push(packed, 1);
+    }
+};
+
+/**
+ * Records the input of every step, run-length encoded as [input, count, input, count, ...]
+ * where each input is a key mask or an [x, y] analog vector. Player 1's input goes to `inputs`,
+ * player 2's (in two-player modes) to `inputs2`.
+ */
+export class ReplayRecorder {
+    /**
+     * Creates a recorder for one run.
+     * @param {Object} run
+     * @param {number|string} run.seed - Seed of the simulation being recorded.
+     * @param {Object} run.config - Config the simulation was created with.
+     * @param {number} run.tickRate - Simulation steps per second.
+     * @param {string} [run.mode] - Player mode of the simulation (see Simulation.MODES).
+     */
+    constructor({ seed, config, tickRate, mode = "solo" }) {
+        this.seed = seed;
+        this.config = config;
+        this.tickRate = tickRate;
+        this.mode = mode;
+        this.ticks = 0;
+        this.inputs = [];
+        this.inputs2 = [];
+    }
+
+    /**
+     * Records the input for the next step.
+     * @param {{keys: Set<string>, move?: {x: number, y: number}|null}[]} inputs - The simulation's input
+     *     sources, one per farmer.
+     */
+    record(inputs) {
+        appendInput(this.inputs, encodeInput(inputs[0]));
+        if (this.mode !== "solo") appendInput(this.inputs2, encodeInput(inputs[1]));
+        this.ticks++;
+    }
+
+    /**
+     * Builds the replay file contents.
+     * @param {Object} [result] - Final { state, score, level } of the run, used to detect divergence on playback.
+     * @returns {Object}
+     */
+    toJSON(result = null) {
+        const copy = stream => stream.map(input => Array.isArray(input) ? input.slice() : input);
+        const data = {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            seed: this.seed,
+            tickRate: this.tickRate,
+            config: this.config,
+            ticks: this.ticks,
+            inputs: copy(this.inputs),
+            result
+        };
+        if (this.mode !== "solo") Object.assign(data, { mode: this.mode, inputs2: copy(this.inputs2) });
+        return data;
+    }
+}
+
+/**
+ * Checks a parsed replay file and rejects anything this version cannot play back faithfully.
+ * @param {Object} data - Parsed replay JSON.
+ * @returns {Object} The same replay data.
+ * @throws {Error} If the file is not a replay, was written by another format version, or carries an invalid
+ *     config or player mode.
+ */
+export function parseReplay(data) {
+    if (!data || data.format !== REPLAY_FORMAT) {
+        throw new Error("Not a Farmer Harvest replay file");
+    }
+    if (data.version !== REPLAY_VERSION) {
+        throw new Error(`Replay version ${data.version} is not supported (expected ${REPLAY_VERSION})`);
+    }
+    if (!data.config || !Array.isArray(data.inputs) || !(data.tickRate > 0)) {
+        throw new Error("Replay file is incomplete");
+    }
+    const mode = data.mode ?? "solo";
+    if (!Simulation.MODES.includes(mode)) {
+        throw new Error(`Replay player mode "${mode}" is not supported`);
+    }
+    if (mode !== "solo" && !Array.isArray(data.inputs2)) {
+        throw new Error("Replay file is incomplete");
+    }
+    const { errors } = validateConfig(data.config);
+    if (errors.length) {
+        throw new Error(`Replay config is invalid: ${errors.join("; ")}`);
+    }
+    return data;
+}
+
+/**
+ * Input source that plays recorded input back; exposes the same `keys` Set and `move` vector the
+ * farmer reads from Input.
+ */
+export class ReplayInput {
+    /**
+     * Creates a playback input for a replay.
+     * @param {Object} replay - Replay data (see parseReplay).
+     * @param {Array} [inputs] - Recorded stream to play; defaults to player 1's.
+     */
+    constructor(replay, inputs = replay.inputs) {
+        this.keys = new Set();
+        this.move = null;
+        // Expanded to one packed input per step so seeking is a plain index.
+        this.steps = new Array(replay.ticks).fill(0);
+        let tick = 0;
+        for (let i = 0; i < inputs.length; i += 2) {
+            this.steps.fill(inputs[i], tick, tick + inputs[i + 1]);
+            tick += inputs[i + 1];
+        }
+    }
+
+    /**
+     * Number of recorded steps.
+     * @returns {number}
+     */
+    get length() {
+        return this.steps.length;
+    }
+
+    /**
+     * Sets the held keys and analog vector to those recorded for a step.
+     * @param {number} tick - Step index.
+     */
+    setTick(tick) {
+        applyInput(this, this.steps[tick] || 0);
+    }
+}
+
+/**
+ * Plays a replay back through a fresh Simulation, one recorded step at a time, with seeking.
+ * DOM-free, so recorded runs can also be verified from Node.
+ */
+export class ReplayPlayer {
+    /**
+     * Creates a player positioned at the first step.
+     * @param {Object} replay - Replay data; checked with parseReplay.
+     */
+    constructor(replay) {
+        this.replay = parseReplay(replay);
+        this.mode = this.replay.mode ?? "solo";
+        this.inputs = [new ReplayInput(this.replay)];
+        if (this.mode !== "solo") this.inputs.push(new ReplayInput(this.replay, this.replay.inputs2));
+        this.input = this.inputs[0];
+        this.stepSeconds = 1 / this.replay.tickRate;
+        this.restart();
+    }
+
+    /**
+     * Rebuilds the simulation at step 0.
+     */
+    restart() {
+        this.sim = new Simulation(this.replay.config, { inputs: this.inputs, seed: this.replay.seed, mode: this.mode });
+        this.sim.start();
+    }
+
+    /**
+     * Number of steps played so far.
+     * @returns {number}
+     */
+    get tick() {
+        return this.sim.ticks;
+    }
+
+    /**
+     * Number of recorded steps.
+     * @returns {number}
+     */
+    get length() {
+        return this.input.length;
+    }
+
+    /**
+     * True once every recorded step was played, or the run ended early.
+     * @returns {boolean}
+     */
+    get done() {
+        const { GAME_OVER, WIN } = Simulation.State;
+        return this.tick >= this.length || this.sim.state === GAME_OVER || this.sim.state === WIN;
+    }
+
+    /**
+     * Plays the next recorded step; level summary screens are skipped, since they take no steps.
+     */
+    step() {
+        if (this.done) return;
+        this.sim.continueLevel();
+        this.inputs.forEach(input => input.setTick(this.tick));
+        this.sim.step(this.stepSeconds);
+    }
+
+    /**
+     * Moves playback to a step, re-simulating from the start when going backwards.
+     * @param {number} tick - Target step index.
+     */
+    seek(tick) {
+        if (tick < this.tick) this.restart();
+        while (this.tick < tick && !this.done) this.step();
+    }
+
+    /**
+     * Compares the finished playback with the result stored in the file.
+     * @returns {boolean} True if the replay reached a different outcome than the recording.
+     */
+    diverged() {
+        const result = this.replay.result;
+        if (!result) return false;
+        return result.state !== this.sim.state || result.score !== this.sim.score || result.level !== this.sim.level;
+    }
+}
@@ -0,0 +1,234 @@
+import { Simulation } from './Simulation.js';
+import { Random } from './Random.js';
+import { applyInput } from './Replay.js';
+import { PROTOCOL_VERSION, SNAPSHOT_RATE, MAX_PLAYERS, encodeSnapshot, isValidInput } from './Net.js';
+
+/**
+ * Room is one online game: the members connected to it and, once someone starts, the authoritative
+ * Simulation they play in. It runs the same rules as the browser's Game.update, one fixed step at a
+ * time, applying each player's inputs in the order they were sent, and broadcasts snapshots.
+ *
+ * DOM- and socket-free: members are anything with a send(message) method, so rooms can be driven
+ * from tests as well as by server.js.
+ */
+export class Room {
+    static MAX_QUEUED_INPUTS = 30;  // inputs buffered per player; older ones are dropped past this
+
+    /**
+     * Creates an empty room in the lobby.
+     * @param {string} name
+     * @param {Object} config - Validated levels config.
+     * @param {Object} [options]
+     * @param {number|string} [options.seed] - Seed for every game; a fresh one per game when omitted.
+     */
+    constructor(name, config, { seed } = {}) {
+        this.name = name;
+        this.config = config;
+        this.seed = seed;
+        this.tickRate = config.tickRate || 60;
+        this.stepSeconds = 1 / this.tickRate;
+        // member -> { id, name, slot (player index, -1 while watching), queue, input, ack }
+        this.members = new Map();
+        this.nextId = 1;
+        this.sim = null;
+        this.accumulator = 0;
+        this.sinceSnapshot = 0;
+        this.sentLevel = null;
+    }
+
+    /**
+     * Adds a member and greets them; they watch until the next game starts, or join the lobby.
+     * @param {{send: function(Object): void}} member
+     * @param {string} [name]
+     */
+    join(member, name) {
+        const id = this.nextId++;
+        const label = typeof name === "string" && name.trim() ? name.trim().slice(0, 20) : `Player ${id}`;
+        this.members.set(member, { id, name: label, slot: -1, queue: [], input: null, ack: 0 });
+        member.send({
+            type: "welcome",
+            protocol: PROTOCOL_VERSION,
+            id,
+            room: this.name,
+            config: this.config,
+            tickRate: this.tickRate,
+            snapshotRate: SNAPSHOT_RATE
+        });
+        if (this.sim) {
+            member.send(this.startMessage());
+            member.send(this.snapshot(true));
+        }
+        this.broadcastLobby();
+    }
+
+    /**
+     * Removes a member; their farmer (if any) stands still for the rest of the game.
+     * @param {Object} member
+     */
+    leave(member) {
+        const info = this.members.get(member);
+        if (!info) return;
+        if (info.input) applyInput(info.input, 0);
+        this.members.delete(member);
+        this.broadcastLobby();
+    }
+
+    /**
+     * Whether nobody is connected.
+     * @returns {boolean}
+     */
+    get empty() {
+        return this.members.size === 0;
+    }
+
+    /**
+     * Handles a message from a member.
+     * @param {Object} member
+     * @param {Object} message - Parsed message (see Net.js).
+     */
+    receive(member, message) {
+        const info = this.members.get(member);
+        if (!info) return;
+        const sim = this.sim;
+        const { State } = Simulation;
+        switch (message.type) {
+            case "input":
+                if (info.slot < 0 || !Number.isInteger(message.seq) || message.seq <= info.ack) return;
+                if (!isValidInput(message.input)) return;
+                // Inputs sent just as the game stopped are acknowledged but not applied, so they do not
+                // move the farmer once play resumes.
+                if (!sim || sim.state !== State.PLAYING) {
+                    info.queue = [];
+                    info.ack = message.seq;
+                    return;
+                }
+                info.queue.push({ seq: message.seq, input: message.input });
+                if (info.queue.length > Room.MAX_QUEUED_INPUTS) info.queue.shift();
+                break;
+            // Anyone may start a new game; only players control the one that is on.
+            case "start":
+                if (!sim || sim.state === State.GAME_OVER || sim.state === State.WIN) this.startGame(message.mode);
+                else if (info.slot < 0) return;
+                else if (sim.state === State.PAUSED || sim.state === State.MENU) sim.start();
+                else if (sim.state === State.LEVEL_COMPLETE) sim.continueLevel();
+                break;
+            case "pause":
+                if (sim && info.slot >= 0) sim.togglePause();
+                break;
+            case "continue":
+                if (sim && info.slot >= 0) sim.continueLevel();
+                break;
+            case "reset":
+                if (info.slot < 0) return;
+                this.sim = null;
+                this.members.forEach(m => { m.slot = -1; });
+                this.broadcastLobby();
+                break;
+            default:
+                member.send({ type: "error", message: `Unknown message type "${message.type}"` });
+        }
+    }
+
+    /**
+     * Starts a game with everyone connected (up to MAX_PLAYERS) as players, in member order.
+     * With one player the game is solo; several players asking for solo play co-op.
+     * @param {string} [mode] - Requested mode (see Simulation.MODES).
+     */
+    startGame(mode) {
+        const members = [...this.members.values()];
+        const players = Math.min(members.length, MAX_PLAYERS);
+        if (!players) return;
+        const requested = Simulation.MODES.includes(mode) ? mode : "coop";
+        const actual = players === 1 ? "solo" : (requested === "solo" ? "coop" : requested);
+        const inputs = Array.from({ length: players }, () => ({ keys: new Set(), move: null }));
+        members.forEach((info, i) => {
+            info.slot = i < players ? i : -1;
+            info.input = i < players ? inputs[i] : null;
+            info.queue = [];
+            info.ack = 0;
+        });
+        this.sim = new Simulation(this.config, {
+            inputs,
+            mode: actual,
+            players,
+            seed: this.seed ?? Random.randomSeed()
+        });
+        this.sim.start();
+        this.accumulator = 0;
+        this.sinceSnapshot = 0;
+        this.sentLevel = null;
+        this.broadcast(this.startMessage());
+        this.broadcastLobby();
+    }
+
+    /**
+     * Message telling clients to set up their copy of the current game.
+     * @returns {Object}
+     */
+    startMessage() {
+        const slots = {};
+        this.members.forEach(info => { slots[info.id] = info.slot; });
+        return { type: "start", seed: this.sim.seed, mode: this.sim.mode, players: this.sim.playerCount, slots };
+    }
+
+    /**
+     * Runs the simulation for some wall time in fixed steps, and broadcasts a snapshot at SNAPSHOT_RATE.
+     * @param {number} seconds - Wall time since the last call.
+     */
+    update(seconds) {
+        if (!this.sim) return;
+        this.accumulator += Math.min(seconds, 0.25);
+        while (this.accumulator >= this.stepSeconds) {
+            this.step();
+            this.accumulator -= this.stepSeconds;
+        }
+        this.sinceSnapshot += seconds;
+        if (this.sinceSnapshot >= 1 / SNAPSHOT_RATE) {
+            this.sinceSnapshot = 0;
+            this.broadcast(this.snapshot(this.sentLevel !== this.sim.level));
+            this.sentLevel = this.sim.level;
+        }
+    }
+
+    /**
+     * One simulation step: each player's next queued input (or their last one again, if none arrived
+     * in time), then the rules.
+     */
+    step() {
+        if (this.sim.state !== Simulation.State.PLAYING) return;
+        this.members.forEach(info => {
+            if (info.slot < 0 || !info.queue.length) return;
+            const { seq, input } = info.queue.shift();
+            applyInput(info.input, input);
+            info.ack = seq;
+        });
+        this.sim.step(this.stepSeconds);
+    }
+
+    /**
+     * Snapshot of the game with every player's input acknowledgement.
+     * @param {boolean} [obstacles] - Include the level's obstacles.
+     * @returns {Object}
+     */
+    snapshot(obstacles = false) {
+        const acks = [];
+        this.members.forEach(info => { if (info.slot >= 0) acks[info.slot] = info.ack; });
+        return encodeSnapshot(this.sim, acks, { obstacles });
+    }
+
+    /**
+     * Tells everyone who is connected and whether a game is on.
+     */
+    broadcastLobby() {
+        const members = [...this.members.values()].map(({ id, name, slot }) => ({ id, name, slot }));
+        this.broadcast({ type: "lobby", room: this.name, members, playing: Boolean(this.sim) });
+    }
+
+    /**
+     * Sends a message to every member.
+     * @param {Object} message
+     */
+    broadcast(message) {
+        this.members.forEach((info, member) => member.send(message));
+    }
+}
@@ -0,0 +1,596 @@
+import { Farmer } from './Farmer.js';
+import { Crop } from './Crop.js';
+import { PowerUp } from './PowerUp.js';
+import { Scarecrow, Crow } from './Obstacle.js';
+import { Random } from './Random.js';
+import { TileMap } from './TileMap.js';
+import { Placement } from './Placement.js';
+import { NavGrid } from './NavGrid.js';
+import { Clock, Timer } from './Clock.js';
+import { SpatialHash } from './SpatialHash.js';
+import { WIDTH, HEIGHT, TILE, clamp, overlaps } from './Utils.js';
+
+/**
+ * Simulation holds the game rules and world state without touching the DOM,
+ * so the same rules can be driven by the browser Game or from Node.
+ */
+export class Simulation {
+    /**
+     * Simulation state enumeration.
+     */
+    static State = Object.freeze({
+        MENU: "MENU",
+        PLAYING: "PLAYING",
+        PAUSED: "PAUSED",
+        LEVEL_COMPLETE: "LEVEL_COMPLETE",
+        GAME_OVER: "GAME_OVER",
+        WIN: "WIN"
+    });
+
+    /**
+     * Player modes: one farmer, or two on one keyboard sharing a score (co-op) or racing for it (versus).
+     */
+    static MODES = Object.freeze(["solo", "coop", "versus"]);
+
+    /**
+     * Creates a new Simulation in the MENU state, set up for level 1.
+     * @param {Object} config - Levels config as returned by validateConfig (defaults filled in).
+     * @param {Object} [options]
+     * @param {{keys: Set<string>}} [options.input] - Input source read by the farmer each step.
+     * @param {{keys: Set<string>}[]} [options.inputs] - One input source per farmer; defaults to [input].
+     * @param {number|string} [options.seed] - PRNG seed; falls back to config.seed, then a fresh random seed.
+     * @param {"solo"|"coop"|"versus"} [options.mode] - Player mode (see MODES).
+     * @param {number} [options.players] - Number of farmers; 1 in solo and 2 in the other modes by default
+     *     (online games have one per connected player).
+     */
+    constructor(config, { input = { keys: new Set() }, inputs = [input], seed = config.seed, mode = "solo", players } = {}) {
+        this.config = config;
+        this.mode = mode;
+        this.playerCount = players ?? (mode === "solo" ? 1 : 2);
+        // Farmer i reads inputs[i]; a missing one stands still.
+        this.inputs = Array.from({ length: this.playerCount }, (_, i) => inputs[i] || { keys: new Set() });
+        this.input = this.inputs[0];
+        // Every timer (effects, spawns, countdown, growth, animations) runs on this play clock.
+        this.clock = new Clock();
+        // Every random decision (placement, crop types, crow flight) draws from this,
+        // so a seed plus an input sequence always reproduces the same run.
+        this.seed = seed ?? Random.randomSeed();
+        this.rng = new Random(this.seed);
+        // Walkable cells for pathfinding, rebuilt whenever the obstacles change (applyLevel).
+        this.nav = new NavGrid();
+        this.placement = new Placement(this);
+        this._listeners = new Map();
+
+        // world
+        this.players = [];
+        this.crops = [];
+        this.obstacles = [];
+        this.powerUps = [];
+        this.crows = [];
+        // Spatial indexes over the lists above, for every collision and proximity check.
+        this.spatial = {
+            crops: new SpatialHash(),
+            obstacles: new SpatialHash(),
+            powerUps: new SpatialHash(),
+            crows: new SpatialHash()
+        };
+
+        this.reset();
+    }
+
+    /**
+     * Default farmer start position, used when a level has no map start tile.
+     */
+    static START_X = WIDTH / 2 - 17;
+    static START_Y = HEIGHT - 80;
+    static START_SPACING = 60;  // pixels between the farmers' default starts when there are several
+    static PLAYER_TINTS = Object.freeze([null, "#2e86de", "#c0392b", "#8e44ad"]); // farmer sprite tint per player (player 1 untinted)
+    static CROW_PENALTY = 2;    // points lost per crow hit
+
+    /**
+     * Player 1's farmer (the only one in solo).
+     * @returns {Farmer}
+     */
+    get player() {
+        return this.players[0];
+    }
+
+    /**
+     * Registers a handler for a simulation event
+     * ("collect", "cropStolen", "powerUp", "crowHit", "fieldFull", "levelComplete", "levelUp", "gameOver", "win").
+     * @param {string} type - Event name.
+     * @param {function(Object): void} handler - Called with the event detail.
+     * @returns {function(): void} Unsubscribe function.
+     */
+    on(type, handler) {
+        if (!this._listeners.has(type)) this._listeners.set(type, new Set());
+        this._listeners.get(type).add(handler);
+        return () => this._listeners.get(type).delete(handler);
+    }
+
+    /**
+     * Notifies the handlers registered for an event.
+     * @param {string} type - Event name.
+     * @param {Object} [detail] - Event payload.
+     */
+    emit(type, detail = {}) {
+        const handlers = this._listeners.get(type);
+        if (handlers) handlers.forEach(h => h(detail));
+    }
+
+    /**
+     * Current time of the game clock in seconds of play.
+     * @returns {number}
+     */
+    now() {
+        return this.clock.time;
+    }
+
+    /**
+     * Seconds left on the level countdown.
+     * @returns {number}
+     */
+    get timeLeft() {
+        return Math.max(0, this.clock.until(this.levelEndsAt));
+    }
+
+    /**
+     * Seconds of play since the current level started.
+     * @returns {number}
+     */
+    get levelElapsed() {
+        return this.clock.since(this.levelStartedAt);
+    }
+
+    /**
+     * Resets the world to level 1 of the config and returns to MENU, restarting the seed sequence.
+     */
+    reset() {
+        const first = this.config.levels[0];
+        this.rng = new Random(this.seed);
+        this.state = Simulation.State.MENU;
+        this.level = 1;
+        // Steps run while PLAYING, and the play time they add up to.
+        this.ticks = 0;
+        this.clock.reset();
+        this.players = Array.from({ length: this.playerCount }, (_, i) => {
+            const label = this.playerCount > 1 ? `P${i + 1}` : null;
+            return new Farmer(this.startX(i), Simulation.START_Y, { tint: Simulation.PLAYER_TINTS[i], label });
+        });
+        this.crops.length = 0;
+        this.powerUps.length = 0;
+        this.crows.length = 0;
+        Object.values(this.spatial).forEach(index => index.clear());
+        // Spawned entities are numbered, so a copy of the world (an online client's) can tell them apart.
+        this.nextId = 1;
+        this.score = 0;
+        // Summary of the last cleared level, shown between levels.
+        this.lastSummary = null;
+        // Required score is cumulative across levels.
+        this.requiredScore = first.goal;
+        this.goal = this.requiredScore;
+        this.applyLevel(first);
+    }
+
+    /**
+     * Config entry of the current level.
+     * @returns {Object}
+     */
+    get levelConfig() {
+        return this.config.levels[this.level - 1];
+    }
+
+    /**
+     * Number of levels in the config.
+     * @returns {number}
+     */
+    get levelCount() {
+        return this.config.levels.length;
+    }
+
+    /**
+     * Applies the timing, spawn rates and layout (map or scarecrows) of a level config entry.
+     * @param {Object} levelConfig - One entry of config.levels.
+     */
+    applyLevel(levelConfig) {
+        this.levelStartScore = this.score;
+        this.levelStartedAt = this.clock.time;
+        this.levelEndsAt = this.clock.time + levelConfig.timeLimit;
+        this.fieldFullAt = null;
+        this.players.forEach(farmer => farmer.effects.clear(this));
+        this.cropTimer = new Timer(this.clock, levelConfig.spawnEvery);
+        this.powerUpTimer = new Timer(this.clock, levelConfig.powerUpSpawnEvery);
+        this.crowTimer = new Timer(this.clock, levelConfig.crowSpawnEvery);
+        this.obstacles = [];
+        this.map = levelConfig.map ? new TileMap(levelConfig.map) : null;
+        if (this.map) {
+            this.obstacles = this.map.createObstacles();
+        } else if (levelConfig.scarecrows) {
+            // Hand-placed scarecrows, as [column, row] tiles.
+            levelConfig.scarecrows.forEach(([col, row]) => this.obstacles.push(new Scarecrow(col * TILE, row * TILE)));
+        } else {
+            // Random layout, keeping the farmers' positions clear.
+            for (let i = 0; i < levelConfig.numScarecrows; i++) {
+                let scarecrow;
+                do {
+                    const { x, y } = this.randomTile();
+                    scarecrow = new Scarecrow(x, y);
+                } while (this.players.some(farmer => overlaps(scarecrow, farmer)));
+                this.obstacles.push(scarecrow);
+            }
+        }
+        this.spatial.obstacles.clear();
+        this.obstacles.forEach(o => this.spatial.obstacles.insert(o));
+        this.nav.rebuild(this.spatial.obstacles, this.player);
+        if (this.map) this.placePlayers(this.map.start);
+        this.placement.rebuild();
+    }
+
+    /**
+     * Default start x of a farmer: centered, side by side when there are two.
+     * @param {number} index - Player index.
+     * @returns {number}
+     */
+    startX(index) {
+        return Simulation.START_X + (index - (this.playerCount - 1) / 2) * Simulation.START_SPACING;
+    }
+
+    /**
+     * Moves the farmers to a map start tile, or to their default start positions. Player 1 stands on
+     * the tile; the others on free walkable tiles around it that player 1 can reach (or on the same tile
+     * if there are none). Needs the nav grid of the level.
+     * @param {number[]|null} tile - [column, row], or null.
+     */
+    placePlayers(tile) {
+        const reached = tile && this.nav.reachable(tile);
+        const nearby = [[2, 0], [-2, 0], [0, 2], [0, -2], [1, 0], [-1, 0], [0, 1], [0, -1]];
+        const taken = new Set();
+        this.players.forEach((farmer, i) => {
+            let x = this.startX(i), y = Simulation.START_Y;
+            if (tile) {
+                const [dc, dr] = i === 0 ? [0, 0] : nearby.find(([dc, dr]) => {
+                    const col = tile[0] + dc, row = tile[1] + dr;
+                    return !taken.has(`${dc},${dr}`) && this.nav.walkable(col, row) && reached[row * NavGrid.COLS + col] === 1;
+                }) || [0, 0];
+                taken.add(`${dc},${dr}`);
+                x = (tile[0] + dc) * TILE + (TILE - farmer.w) / 2;
+                y = (tile[1] + dr) * TILE + (TILE - farmer.h) / 2;
+            }
+            farmer.x = clamp(x, 0, WIDTH - farmer.w);
+            farmer.y = clamp(y, 0, HEIGHT - farmer.h);
+            farmer.savePosition();
+        });
+    }
+
+
+    /**
+     * Starts play from MENU, or resumes from PAUSED.
+     */
+    start() {
+        if (this.state === Simulation.State.MENU || this.state === Simulation.State.PAUSED) {
+            this.state = Simulation.State.PLAYING;
+        }
+    }
+
+    /**
+     * Toggles between PLAYING and PAUSED.
+     */
+    togglePause() {
+        if (this.state === Simulation.State.PLAYING) {
+            this.state = Simulation.State.PAUSED;
+        } else if (this.state === Simulation.State.PAUSED) {
+            this.state = Simulation.State.PLAYING;
+        }
+    }
+
+    /**
+     * Ends the current level once its goal is reached: shows the level summary, or wins after the last level.
+     */
+    completeLevel() {
+        this.lastSummary = {
+            level: this.level,
+            name: this.levelConfig.name,
+            points: this.score - this.levelStartScore,
+            seconds: this.levelElapsed,
+            score: this.score,
+            scores: this.players.map(farmer => farmer.score)
+        };
+        this.emit("levelComplete", this.lastSummary);
+        if (this.level >= this.levelCount) {
+            this.state = Simulation.State.WIN;
+            this.emit("win", { score: this.score, level: this.level, winner: this.winner });
+        } else {
+            this.state = Simulation.State.LEVEL_COMPLETE;
+        }
+    }
+
+    /**
+     * Leaves the between-level summary and starts the next level.
+     */
+    continueLevel() {
+        if (this.state !== Simulation.State.LEVEL_COMPLETE) return;
+        this.advanceLevel();
+        this.state = Simulation.State.PLAYING;
+    }
+
+    /**
+     * Advances to the next level with increased difficulty.
+     */
+    advanceLevel() {
+        if (this.level >= this.levelCount) return;
+        this.level++;
+        this.crops.length = 0;
+        this.powerUps.length = 0;
+        this.crows.length = 0;
+        Object.values(this.spatial).forEach(index => index.clear());
+        const levelConfig = this.config.levels[this.level - 1];
+        this.applyLevel(levelConfig);
+        this.requiredScore += levelConfig.goal;
+        this.goal = this.requiredScore;
+        this.emit("levelUp", { level: this.level });
+    }
+
+    /**
+     * Picks a spawn position through the placement rules, reporting a "fieldFull" event (and
+     * noting when, in fieldFullAt) when there is no valid cell left.
+     * @param {"crop"|"powerUp"|"crow"} kind - What is being placed.
+     * @returns {{x: number, y: number}|null}
+     */
+    spawnPosition(kind) {
+        const pos = this.placement.find(kind);
+        if (!pos) {
+            this.fieldFullAt = this.clock.time;
+            this.emit("fieldFull", { kind });
+        }
+        return pos;
+    }
+
+    /**
+     * Picks a random tile-aligned position inside the field border.
+     * @returns {{x: number, y: number}}
+     */
+    randomTile() {
+        const x = this.rng.int((WIDTH - 2 * TILE) / TILE) * TILE + TILE;
+        const y = this.rng.int((HEIGHT - 2 * TILE) / TILE) * TILE + TILE;
+        return { x, y };
+    }
+
+    /**
+     * Spawns a new random crop.
+     */
+    spawnCrop() {
+        const pos = this.spawnPosition("crop");
+        if (!pos) return;
+        const { x, y } = pos;
+        const type = this.pickCropType();
+        this.add("crops", new Crop(x, y, type, this.rng, this.config.crops[type], this.clock.time));
+    }
+
+    /**
+     * Picks a crop type using the level's crop mix (relative weights), or the crop types' own
+     * weights without one.
+     * @returns {string}
+     */
+    pickCropType() {
+        const mix = this.levelConfig.crops
+            || Object.fromEntries(Object.entries(this.config.crops).map(([type, def]) => [type, def.weight]));
+        const entries = Object.entries(mix).filter(([, weight]) => weight > 0);
+        let roll = this.rng.next() * entries.reduce((sum, [, weight]) => sum + weight, 0);
+        for (const [type, weight] of entries) {
+            roll -= weight;
+            if (roll < 0) return type;
+        }
+        return entries[entries.length - 1][0];
+    }
+
+    /**
+     * Spawns a new power-up of one of the kinds the level allows.
+     */
+    spawnPowerUp() {
+        const kinds = this.levelConfig.powerUps;
+        const pos = kinds.length && this.spawnPosition("powerUp");
+        if (!pos) return;
+        const { x, y } = pos;
+        this.add("powerUps", new PowerUp(x, y, this.rng, this.rng.pick(kinds)));
+    }
+
+    /**
+     * Spawns a new crow, unless the level's crow cap is reached.
+     */
+    spawnCrow() {
+        const cap = this.levelConfig.maxCrows;
+        if (cap !== undefined && this.crows.length >= cap) return;
+        const pos = this.spawnPosition("crow");
+        if (!pos) return;
+        const { x, y } = pos;
+        this.add("crows", new Crow(x, y, this.rng, this.levelConfig.crowBehaviors));
+    }
+
+    /**
+     * Numbers a spawned entity and adds it to its list and spatial index.
+     * @param {"crops"|"powerUps"|"crows"} kind
+     * @param {Entity} e
+     */
+    add(kind, e) {
+        e.id = this.nextId++;
+        this[kind].push(e);
+        this.spatial[kind].insert(e);
+    }
+
+    /**
+     * Drops dead entities from a list and its spatial index.
+     * @param {"crops"|"powerUps"|"crows"} kind
+     */
+    removeDead(kind) {
+        const index = this.spatial[kind];
+        this[kind] = this[kind].filter(e => {
+            if (e.dead) index.remove(e);
+            return !e.dead;
+        });
+    }
+
+    /**
+     * Advances the simulation (timing, spawning, collisions) while PLAYING.
+     * @param {number} dt - Delta time in seconds.
+     */
+    step(dt) {
+        if (this.state !== Simulation.State.PLAYING) return;
+        this.ticks++;
+        this.clock.advance(dt);
+
+        // countdown; time up always ends the game, regardless of level
+        if (this.timeLeft <= 0) {
+            this.state = Simulation.State.GAME_OVER;
+            this.emit("gameOver", { score: this.score, level: this.level, winner: this.winner });
+            return;
+        }
+
+        // start-of-step positions, for interpolated rendering
+        this.players.forEach(farmer => farmer.savePosition());
+        this.crows.forEach(crow => crow.savePosition());
+
+        // farmers, in player order (player 2 is blocked by where player 1 has just moved)
+        this.players.forEach((farmer, i) => {
+            farmer.handleInput(this.inputs[i]);
+            farmer.update(dt, this);
+        });
+
+        // spawning
+        for (let n = this.cropTimer.due(); n > 0; n--) this.spawnCrop();
+        for (let n = this.powerUpTimer.due(); n > 0; n--) this.spawnPowerUp();
+        for (let n = this.crowTimer.due(); n > 0; n--) this.spawnCrow();
+
+        // collect crops (points depend on ripeness; seedlings are walked over)
+        for (const farmer of this.players) {
+            this.harvest(this.spatial.crops.queryRect(farmer).filter(c => c.harvestable), farmer);
+            // Reaching the goal ends the level; the rest of this step belongs to a finished level.
+            if (this.state !== Simulation.State.PLAYING) return;
+        }
+
+        // collect power-ups: each applies the farmer effect of its kind to the farmer who picked it up
+        for (const [player, farmer] of this.players.entries()) {
+            for (const p of this.spatial.powerUps.queryRect(farmer).filter(p => !p.dead)) {
+                p.dead = true;
+                farmer.effects.add(p.kind, this);
+                this.emit("powerUp", { kind: p.kind, player });
+                // A scythe can harvest the last points of the goal; nothing more is picked up after that.
+                if (this.state !== Simulation.State.PLAYING) {
+                    this.removeDead("powerUps");
+                    return;
+                }
+            }
+        }
+        this.removeDead("powerUps");
+        this.powerUps.forEach(p => p.update(dt, this));
+
+        // crops grow, and rotten ones disappear when their time is up
+        this.crops.forEach(c => c.update(dt, this));
+        this.removeDead("crops");
+
+        // crows move; effects then act on the moved world (magnet pulls crops, repellent pushes crows)
+        this.crows.forEach(crow => {
+            crow.update(dt, this);
+            this.spatial.crows.update(crow);
+        });
+        this.players.forEach(farmer => farmer.effects.update(dt, this));
+
+        // crows penalize the farmer they hit
+        this.players.forEach((farmer, player) => {
+            const hitCrows = this.spatial.crows.queryRect(farmer).filter(crow => !crow.dead);
+            if (!hitCrows.length) return;
+            this.award(farmer, -Simulation.CROW_PENALTY * hitCrows.length);
+            hitCrows.forEach(crow => crow.dead = true);
+            this.emit("crowHit", { count: hitCrows.length, player });
+        });
+        this.removeDead("crows");
+    }
+
+    /**
+     * Removes a crop a crow has eaten.
+     * @param {Crop} crop
+     */
+    stealCrop(crop) {
+        crop.dead = true;
+        this.removeDead("crops");
+        this.emit("cropStolen", { type: crop.type });
+    }
+
+    /**
+     * Harvests crops: marks them collected and scores them for the farmer, multiplied while their double
+     * points is active (penalties for rotten crops are not multiplied). Completes the level once the goal is reached.
+     * @param {Crop[]} crops
+     * @param {Farmer} [farmer] - Who harvested them; player 1 by default.
+     */
+    harvest(crops, farmer = this.player) {
+        if (!crops.length) return;
+        const doublePoints = farmer.effects.get("double_points");
+        const multiplier = doublePoints ? doublePoints.stacks + 1 : 1;
+        const player = this.players.indexOf(farmer);
+        let total = 0;
+        crops.forEach(c => {
+            const points = c.points > 0 ? c.points * multiplier : c.points;
+            c.dead = true;
+            total += points;
+            this.emit("collect", { type: c.type, stage: c.stage, points, player });
+        });
+        // Harvested crops go at once, so a harvest that completes the level leaves none on the field.
+        this.removeDead("crops");
+        this.award(farmer, total);
+        if (this.score >= this.goal) this.completeLevel();
+    }
+
+    /**
+     * Adds (or takes away) points for a farmer. Every farmer keeps a tally of their own; the score that
+     * counts toward the goal is shared in solo and co-op, and is the leader's tally in versus.
+     * Neither goes below zero.
+     * @param {Farmer} farmer
+     * @param {number} points
+     */
+    award(farmer, points) {
+        farmer.score = Math.max(0, farmer.score + points);
+        this.score = this.mode === "versus"
+            ? Math.max(...this.players.map(p => p.score))
+            : Math.max(0, this.score + points);
+    }
+
+    /**
+     * Player index of the farmer with the most points in versus, or null on a tie (and in the other modes).
+     * @returns {number|null}
+     */
+    get winner() {
+        if (this.mode !== "versus") return null;
+        const scores = this.players.map(farmer => farmer.score);
+        const best = Math.max(...scores);
+        return scores.filter(score => score === best).length > 1 ? null : scores.indexOf(best);
+    }
+
+    /**
+     * Returns a plain, serializable copy of the current state.
+     * @returns {Object}
+     */
+    snapshot() {
+        const box = e => ({ x: e.x, y: e.y, w: e.w, h: e.h });
+        const farmer = f => ({
+            ...box(f), vx: f.vx, vy: f.vy, speed: f.speed, score: f.score,
+            effects: f.effects.list().map(e => ({ kind: e.kind, remaining: e.remaining, stacks: e.stacks }))
+        });
+        return {
+            state: this.state,
+            seed: this.seed,
+            mode: this.mode,
+            ticks: this.ticks,
+            level: this.level,
+            levelName: this.levelConfig.name,
+            summary: this.lastSummary,
+            score: this.score,
+            goal: this.goal,
+            timeLeft: this.timeLeft,
+            player: farmer(this.player),
+            players: this.players.map(farmer),
+            crops: this.crops.map(c => ({ ...box(c), type: c.type, stage: c.stage, points: c.points })),
+            obstacles: this.obstacles.map(box),
+            powerUps: this.powerUps.map(p => ({ ...box(p), kind: p.kind })),
+            crows: this.crows.map(box)
+        };
+    }
+}
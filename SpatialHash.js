@@ -0,0 +1,203 @@
+import { TILE, boundsOf, overlaps } from './Utils.js';
+
+/**
+ * Bucket key of a grid cell. Columns and rows may be negative (crows brushing the field edge).
+ * @param {number} col
+ * @param {number} row
+ * @returns {number}
+ */
+const bucketKey = (col, row) => col * 0x10000 + row;
+
+/**
+ * Uniform-grid spatial index (broadphase) for entity boxes. Each entity sits in the bucket of every
+ * cell its hitbox bounds touch, so a query only looks at the entities in the cells the query area touches
+ * instead of every entity in the world.
+ *
+ * Query results are exact (hitbox overlap, or center distance) and come back in insertion order, the
+ * same order as the simulation's entity lists, so swapping a linear scan for a query changes nothing
+ * but the cost. Entities that move must be passed to update() afterwards.
+ *
+ * Until it first holds LINEAR_BELOW entities the index keeps no buckets and a query tests every entity
+ * (after a cheap check of its cell range): with so few, the grid costs more than it saves (see
+ * tools/bench-spatial.js).
+ */
+export class SpatialHash {
+    static LINEAR_BELOW = 1000; // entities an index holds before it starts using the grid
+
+    /**
+     * Creates an empty index.
+     * @param {number} [cellSize] - Cell edge in pixels; defaults to the TILE grid.
+     */
+    constructor(cellSize = TILE) {
+        this.cellSize = cellSize;
+        // Bucket key -> Set of entries.
+        this.buckets = new Map();
+        // Entity -> entry { e, order, c0, r0, c1, r1, stamp }: insertion order, the cell range it is
+        // bucketed under, and the last query that saw it (so entities spanning cells are reported once).
+        this.entries = new Map();
+        this.nextOrder = 0;
+        this.queryStamp = 0;
+        // Whether the buckets are in use; set once the index grows to LINEAR_BELOW entities, until clear().
+        this.bucketed = false;
+    }
+
+    /**
+     * Number of indexed entities.
+     * @returns {number}
+     */
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Whether an entity is indexed.
+     * @param {Entity} e
+     * @returns {boolean}
+     */
+    has(e) {
+        return this.entries.has(e);
+    }
+
+    /**
+     * Cell range covered by a box (inclusive).
+     * @param {{x: number, y: number, w: number, h: number}} box
+     * @returns {{c0: number, r0: number, c1: number, r1: number}}
+     */
+    cellRange(box) {
+        const size = this.cellSize;
+        return {
+            c0: Math.floor(box.x / size),
+            r0: Math.floor(box.y / size),
+            c1: Math.floor((box.x + box.w) / size),
+            r1: Math.floor((box.y + box.h) / size)
+        };
+    }
+
+    /**
+     * Adds an entry to the buckets of its cell range, or removes it.
+     * @param {Object} entry
+     * @param {boolean} add
+     */
+    bucketize(entry, add) {
+        const { c0, r0, c1, r1 } = entry;
+        for (let row = r0; row <= r1; row++) {
+            for (let col = c0; col <= c1; col++) {
+                const key = bucketKey(col, row);
+                let bucket = this.buckets.get(key);
+                if (add) {
+                    if (!bucket) this.buckets.set(key, bucket = new Set());
+                    bucket.add(entry);
+                } else if (bucket) {
+                    bucket.delete(entry);
+                    if (!bucket.size) this.buckets.delete(key);
+                }
+            }
+        }
+    }
+
+    /**
+     * Indexes an entity at its current position.
+     * @param {Entity} e
+     */
+    insert(e) {
+        if (this.entries.has(e)) return;
+        const entry = { e, order: this.nextOrder++, stamp: 0, ...this.cellRange(boundsOf(e)) };
+        this.entries.set(e, entry);
+        if (this.bucketed) this.bucketize(entry, true);
+        else if (this.entries.size >= SpatialHash.LINEAR_BELOW) {
+            this.bucketed = true;
+            this.entries.forEach(each => this.bucketize(each, true));
+        }
+    }
+
+    /**
+     * Removes an entity (e.g. once it is dead).
+     * @param {Entity} e
+     */
+    remove(e) {
+        const entry = this.entries.get(e);
+        if (!entry) return;
+        if (this.bucketed) this.bucketize(entry, false);
+        this.entries.delete(e);
+    }
+
+    /**
+     * Re-buckets an entity after it moved; cheap when it stayed within the same cells.
+     * @param {Entity} e
+     */
+    update(e) {
+        const entry = this.entries.get(e);
+        if (!entry) {
+            this.insert(e);
+            return;
+        }
+        const range = this.cellRange(boundsOf(e));
+        if (range.c0 === entry.c0 && range.r0 === entry.r0 && range.c1 === entry.c1 && range.r1 === entry.r1) return;
+        if (this.bucketed) this.bucketize(entry, false);
+        Object.assign(entry, range);
+        if (this.bucketed) this.bucketize(entry, true);
+    }
+
+    /**
+     * Removes every entity.
+     */
+    clear() {
+        this.buckets.clear();
+        this.entries.clear();
+        this.nextOrder = 0;
+        this.bucketed = false;
+    }
+
+    /**
+     * Entities bucketed in a cell range that pass a test, each once, in insertion order; without
+     * buckets, every entity whose cell range meets it is tested.
+     * @param {{c0: number, r0: number, c1: number, r1: number}} range
+     * @param {function(Entity): boolean} test - Exact check (narrow phase).
+     * @returns {Entity[]}
+     */
+    search({ c0, r0, c1, r1 }, test) {
+        if (!this.bucketed) {
+            const found = [];
+            for (const entry of this.entries.values()) {
+                if (entry.c0 <= c1 && entry.c1 >= c0 && entry.r0 <= r1 && entry.r1 >= r0 && test(entry.e)) found.push(entry.e);
+            }
+            return found;
+        }
+        const stamp = ++this.queryStamp;
+        const found = [];
+        for (let row = r0; row <= r1; row++) {
+            for (let col = c0; col <= c1; col++) {
+                const bucket = this.buckets.get(bucketKey(col, row));
+                if (!bucket) continue;
+                for (const entry of bucket) {
+                    if (entry.stamp === stamp) continue;
+                    entry.stamp = stamp;
+                    if (test(entry.e)) found.push(entry);
+                }
+            }
+        }
+        if (found.length > 1) found.sort((a, b) => a.order - b.order);
+        return found.map(entry => entry.e);
+    }
+
+    /**
+     * Entities whose hitboxes overlap a rectangle, or another entity's hitboxes.
+     * @param {{x: number, y: number, w: number, h: number}} rect - A plain rectangle or an entity.
+     * @returns {Entity[]} In insertion order.
+     */
+    queryRect(rect) {
+        return this.search(this.cellRange(boundsOf(rect)), e => e !== rect && overlaps(rect, e));
+    }
+
+    /**
+     * Entities whose center is within a radius of a point.
+     * @param {number} x
+     * @param {number} y
+     * @param {number} radius
+     * @returns {Entity[]} In insertion order.
+     */
+    queryRadius(x, y, radius) {
+        const area = { x: x - radius, y: y - radius, w: 2 * radius, h: 2 * radius };
+        return this.search(this.cellRange(area), e => Math.hypot(e.x + e.w / 2 - x, e.y + e.h / 2 - y) <= radius);
+    }
+}
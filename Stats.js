@@ -0,0 +1,325 @@
+import { levelSetId } from './Ghost.js';
+
+/**
+ * localStorage keys: one leaderboard per level set, player mode and seed, the lifetime stats, and the name last
+ * entered for a high score.
+ */
+const SCORES_PREFIX = "farmer-harvest:scores:";
+const STATS_KEY = "farmer-harvest:stats";
+const NAME_KEY = "farmer-harvest:player-name";
+
+/**
+ * Version of the export file format; files of another version are rejected on import.
+ */
+export const STATS_VERSION = 1;
+
+/**
+ * Lifetime stats before any game.
+ * @returns {Object}
+ */
+export const emptyStats = () => ({ games: 0, wins: 0, crops: {}, crowsHit: 0, powerUps: {}, bestTimes: {} });
+
+/**
+ * Whether a value is a count (a non-negative integer).
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isCount = value => Number.isInteger(value) && value >= 0;
+
+/**
+ * Checks stored or imported lifetime stats, filling in missing fields.
+ * @param {*} raw
+ * @returns {Object} Stats.
+ * @throws {Error} If a field has the wrong type.
+ */
+export function parseStats(raw) {
+    if (!raw || typeof raw !== "object") throw new Error("stats must be an object");
+    const stats = { ...emptyStats(), ...raw };
+    ["games", "wins", "crowsHit"].forEach(field => {
+        if (!isCount(stats[field])) throw new Error(`stats.${field} must be a whole number >= 0`);
+    });
+    ["crops", "powerUps"].forEach(field => {
+        if (!stats[field] || typeof stats[field] !== "object" || !Object.values(stats[field]).every(isCount)) {
+            throw new Error(`stats.${field} must map names to whole numbers >= 0`);
+        }
+    });
+    const times = stats.bestTimes;
+    if (!times || typeof times !== "object" || !Object.values(times).every(levels => levels && typeof levels === "object"
+        && Object.values(levels).every(seconds => Number.isFinite(seconds) && seconds >= 0))) {
+        throw new Error("stats.bestTimes must map level sets and modes to seconds per level");
+    }
+    return stats;
+}
+
+/**
+ * Checks a leaderboard: a list of { name, score, level, won, mode, date } entries.
+ * @param {*} raw
+ * @returns {Object[]}
+ * @throws {Error} If it is not a list of such entries.
+ */
+export function parseScores(raw) {
+    const valid = Array.isArray(raw) && raw.every(entry => entry && typeof entry.name === "string"
+        && Number.isFinite(entry.score) && isCount(entry.level) && typeof entry.date === "string");
+    if (!valid) throw new Error("a leaderboard must be a list of { name, score, level, date } entries");
+    return raw;
+}
+
+/**
+ * Orders leaderboard entries: higher score first, then a win, then the earlier one.
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {number}
+ */
+const byRank = (a, b) => (b.score - a.score) || (Number(Boolean(b.won)) - Number(Boolean(a.won))) || a.date.localeCompare(b.date);
+
+/**
+ * Keeps local leaderboards (per level set, player mode and seed) and lifetime stats in localStorage.
+ */
+export class StatsStore {
+    static MAX_SCORES = 10; // entries kept per leaderboard
+
+    /**
+     * Creates a store.
+     * @param {Storage} [storage] - Defaults to window.localStorage when available.
+     */
+    constructor(storage = globalThis.localStorage) {
+        this.storage = storage;
+    }
+
+    /**
+     * Reads a JSON value from storage.
+     * @param {string} key
+     * @param {function(*): *} parse - Checks the value; throws if it is invalid.
+     * @param {*} fallback - Returned when nothing (valid) is stored.
+     * @returns {*}
+     */
+    read(key, parse, fallback) {
+        if (!this.storage) return fallback;
+        try {
+            const raw = this.storage.getItem(key);
+            return raw ? parse(JSON.parse(raw)) : fallback;
+        } catch (error) {
+            console.warn(`Ignoring stored ${key}:`, error);
+            return fallback;
+        }
+    }
+
+    /**
+     * Writes a JSON value to storage.
+     * @param {string} key
+     * @param {*} value
+     * @returns {boolean} True if it was stored.
+     */
+    write(key, value) {
+        if (!this.storage) return false;
+        try {
+            this.storage.setItem(key, JSON.stringify(value));
+            return true;
+        } catch (error) {
+            console.warn(`Could not store ${key}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Storage key of the leaderboard for a seed, level set and player mode; like the best times, each
+     * mode has its own board.
+     * @param {number|string} seed
+     * @param {Object} config
+     * @param {string} [mode="solo"] - See Simulation.MODES.
+     * @returns {string}
+     */
+    key(seed, config, mode = "solo") {
+        return `${SCORES_PREFIX}${StatsStore.timesKey(config, mode)}:${seed}`;
+    }
+
+    /**
+     * Leaderboard for a seed, level set and player mode, best first.
+     * @param {number|string} seed
+     * @param {Object} config
+     * @param {string} [mode="solo"]
+     * @returns {Object[]}
+     */
+    scores(seed, config, mode = "solo") {
+        return this.read(this.key(seed, config, mode), parseScores, []);
+    }
+
+    /**
+     * Whether a score would make the leaderboard.
+     * @param {number|string} seed
+     * @param {Object} config
+     * @param {string} mode
+     * @param {number} score
+     * @returns {boolean}
+     */
+    qualifies(seed, config, mode, score) {
+        if (score <= 0) return false;
+        const scores = this.scores(seed, config, mode);
+        return scores.length < StatsStore.MAX_SCORES || score > scores[scores.length - 1].score;
+    }
+
+    /**
+     * Adds an entry to the leaderboard of its mode, keeping the best MAX_SCORES.
+     * @param {number|string} seed
+     * @param {Object} config
+     * @param {Object} entry - { name, score, level, won, mode, date }.
+     * @returns {number} The entry's rank (0 = best), or -1 if it did not make the board.
+     */
+    addScore(seed, config, entry) {
+        const mode = entry.mode || "solo";
+        const scores = [...this.scores(seed, config, mode), entry].sort(byRank).slice(0, StatsStore.MAX_SCORES);
+        const rank = scores.indexOf(entry);
+        if (rank >= 0) this.write(this.key(seed, config, mode), scores);
+        return rank;
+    }
+
+    /**
+     * Lifetime stats.
+     * @returns {Object}
+     */
+    loadStats() {
+        return this.read(STATS_KEY, parseStats, emptyStats());
+    }
+
+    /**
+     * Adds a game's counts to the lifetime stats.
+     * @param {Object} run - { mode, won, crops, crowsHit, powerUps, times: { level: seconds } } of one game.
+     * @param {Object} config - Levels config of the game, for the best times.
+     */
+    addRun(run, config) {
+        const stats = this.loadStats();
+        const add = (counts, more) => Object.entries(more).forEach(([name, n]) => { counts[name] = (counts[name] || 0) + n; });
+        stats.games++;
+        if (run.won) stats.wins++;
+        add(stats.crops, run.crops);
+        add(stats.powerUps, run.powerUps);
+        stats.crowsHit += run.crowsHit;
+        const key = StatsStore.timesKey(config, run.mode);
+        if (!stats.bestTimes[key]) stats.bestTimes[key] = {};
+        const best = stats.bestTimes[key];
+        Object.entries(run.times).forEach(([level, seconds]) => {
+            if (!(level in best) || seconds < best[level]) best[level] = seconds;
+        });
+        this.write(STATS_KEY, stats);
+    }
+
+    /**
+     * Key of the best level times of a level set in a player mode; two farmers clear levels faster
+     * than one, so each mode keeps its own times.
+     * @param {Object} config
+     * @param {string} [mode="solo"] - See Simulation.MODES.
+     * @returns {string}
+     */
+    static timesKey(config, mode = "solo") {
+        return `${levelSetId(config)}:${mode}`;
+    }
+
+    /**
+     * Best time per level of a level set in a player mode, by level number.
+     * @param {Object} config
+     * @param {string} [mode="solo"]
+     * @returns {Object<number, number>}
+     */
+    bestTimes(config, mode = "solo") {
+        return this.loadStats().bestTimes[StatsStore.timesKey(config, mode)] || {};
+    }
+
+    /**
+     * The name last entered for a high score.
+     * @returns {string}
+     */
+    get playerName() {
+        return this.read(NAME_KEY, name => String(name), "");
+    }
+
+    /**
+     * Remembers the name entered for a high score, to offer it next time.
+     * @param {string} name
+     */
+    set playerName(name) {
+        this.write(NAME_KEY, name);
+    }
+
+    /**
+     * Everything stored, as an export file.
+     * @returns {Object} { version, stats, scores: { "levelSet:mode:seed": entries } }
+     */
+    export() {
+        const scores = {};
+        for (let i = 0; this.storage && i < this.storage.length; i++) {
+            const key = this.storage.key(i);
+            if (key.startsWith(SCORES_PREFIX)) scores[key.slice(SCORES_PREFIX.length)] = this.read(key, parseScores, []);
+        }
+        return { version: STATS_VERSION, stats: this.loadStats(), scores };
+    }
+
+    /**
+     * Replaces the stored stats and leaderboards with an export file's.
+     * @param {Object} data - Parsed export file.
+     * @throws {Error} If the file is invalid or from another version; nothing is changed then.
+     */
+    import(data) {
+        if (!data || data.version !== STATS_VERSION) {
+            throw new Error(`Unsupported stats file version ${data && data.version} (expected ${STATS_VERSION})`);
+        }
+        const stats = parseStats(data.stats);
+        const scores = Object.entries(data.scores || {}).map(([board, entries]) => {
+            if (!/^[0-9a-z]+:.+$/.test(board)) throw new Error(`"${board}" is not a leaderboard name`);
+            return [board, parseScores(entries).slice().sort(byRank).slice(0, StatsStore.MAX_SCORES)];
+        });
+        const stale = [];
+        for (let i = 0; this.storage && i < this.storage.length; i++) {
+            if (this.storage.key(i).startsWith(SCORES_PREFIX)) stale.push(this.storage.key(i));
+        }
+        stale.forEach(key => this.storage.removeItem(key));
+        this.write(STATS_KEY, stats);
+        scores.forEach(([board, entries]) => this.write(SCORES_PREFIX + board, entries));
+    }
+}
+
+/**
+ * StatsTracker counts what happens in one game (crops by type, crows hit, power-ups, level times)
+ * from the simulation's events, and adds it to the lifetime stats once the game ends or is abandoned.
+ */
+export class StatsTracker {
+    /**
+     * Starts counting a game.
+     * @param {StatsStore} store
+     * @param {Simulation} sim
+     */
+    constructor(store, sim) {
+        this.store = store;
+        this.config = sim.config;
+        this.run = { mode: sim.mode, won: false, crops: {}, crowsHit: 0, powerUps: {}, times: {} };
+        // Whether anything happened or the game ended; abandoned games where nothing happened are not counted.
+        this.played = false;
+        this.unsubscribe = [
+            sim.on("collect", ({ type }) => { this.count(this.run.crops, type); }),
+            sim.on("powerUp", ({ kind }) => { this.count(this.run.powerUps, kind); }),
+            sim.on("crowHit", ({ count }) => { this.run.crowsHit += count; this.played = true; }),
+            sim.on("levelComplete", ({ level, seconds }) => { this.run.times[level] = seconds; }),
+            sim.on("win", () => { this.run.won = true; this.played = true; this.finish(); }),
+            sim.on("gameOver", () => { this.played = true; this.finish(); })
+        ];
+    }
+
+    /**
+     * Adds one to a named count.
+     * @param {Object<string, number>} counts
+     * @param {string} name
+     */
+    count(counts, name) {
+        counts[name] = (counts[name] || 0) + 1;
+        this.played = true;
+    }
+
+    /**
+     * Stores the game's counts (once) and stops listening.
+     */
+    finish() {
+        if (!this.unsubscribe) return;
+        this.unsubscribe.forEach(off => off());
+        this.unsubscribe = null;
+        if (this.played) this.store.addRun(this.run, this.config);
+    }
+}
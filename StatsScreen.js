@@ -0,0 +1,213 @@
+import { EFFECTS } from './Effect.js';
+
+/**
+ * StatsScreen is the stats panel (the leaderboard of the current seed and player mode, lifetime totals and best level
+ * times, with export/import) and the name entry shown when a finished run makes the leaderboard.
+ */
+export class StatsScreen {
+    static MODE_LABELS = Object.freeze({ solo: "solo", coop: "co-op", versus: "versus" });
+
+    /**
+     * Creates the screen (closed) and wires its controls.
+     * @param {Game} game - The game, for its current seed and levels, and pausing.
+     * @param {StatsStore} store
+     */
+    constructor(game, store) {
+        this.game = game;
+        this.store = store;
+        // Run waiting for a name: { seed, config, entry }.
+        this.pending = null;
+        // Entry to highlight on the leaderboard (the one just saved).
+        this.highlight = null;
+
+        const get = id => document.getElementById(id) || console.error(`#${id} not found`);
+        this.ui = {
+            panel: get("stats"),
+            seed: get("statsSeed"),
+            scores: get("statsScores"),
+            totals: get("statsTotals"),
+            times: get("statsTimes"),
+            message: get("statsMessage"),
+            export: get("btnStatsExport"),
+            import: get("statsImport"),
+            close: get("btnStatsClose"),
+            form: get("highScore"),
+            title: get("highScoreTitle"),
+            name: get("highScoreName"),
+            skip: get("btnHighScoreSkip")
+        };
+        if (this.ui.export) this.ui.export.addEventListener("click", () => this.exportStats());
+        if (this.ui.import) this.ui.import.addEventListener("change", e => this.importFile(e.target.files[0]));
+        if (this.ui.close) this.ui.close.addEventListener("click", () => this.close());
+        if (this.ui.form) {
+            this.ui.form.addEventListener("submit", e => {
+                e.preventDefault(); // stay on the page
+                this.saveName();
+            });
+        }
+        if (this.ui.skip) this.ui.skip.addEventListener("click", () => this.dismiss());
+    }
+
+    /**
+     * Shows the panel, pausing a running game.
+     */
+    open() {
+        if (this.game.state === "PLAYING") this.game.togglePause();
+        if (this.ui.panel) this.ui.panel.hidden = false;
+        this.showMessage("");
+        this.render();
+    }
+
+    /**
+     * Hides the panel.
+     */
+    close() {
+        if (this.ui.panel) this.ui.panel.hidden = true;
+    }
+
+    /**
+     * Rebuilds the leaderboard, totals and best times.
+     */
+    render() {
+        const { sim, config } = this.game;
+        const mode = sim ? sim.mode : this.game.mode;
+        const modeLabel = StatsScreen.MODE_LABELS[mode] || mode;
+        const cell = (tag, text) => {
+            const el = document.createElement(tag);
+            el.textContent = text;
+            return el;
+        };
+        const row = cells => {
+            const tr = document.createElement("tr");
+            tr.append(...cells);
+            return tr;
+        };
+        if (this.ui.seed) this.ui.seed.textContent = sim ? `${modeLabel[0].toUpperCase()}${modeLabel.slice(1)} leaderboard for seed ${sim.seed}` : "Start a game to see its leaderboard";
+        if (this.ui.scores) {
+            const scores = sim ? this.store.scores(sim.seed, config, mode) : [];
+            this.ui.scores.replaceChildren(...scores.map((entry, i) => {
+                const tr = row([
+                    cell("td", String(i + 1)),
+                    cell("th", entry.name),
+                    cell("td", String(entry.score)),
+                    cell("td", entry.won ? "Won" : `Level ${entry.level}`),
+                    cell("td", new Date(entry.date).toLocaleDateString())
+                ]);
+                if (this.highlight && entry.date === this.highlight.date && entry.name === this.highlight.name) tr.classList.add("selected");
+                return tr;
+            }));
+            if (!scores.length && sim) this.ui.scores.append(row([cell("td", ""), cell("th", "No scores yet")]));
+        }
+        const stats = this.store.loadStats();
+        if (this.ui.totals) {
+            const lines = [
+                `Games played: ${stats.games} (${stats.wins} won)`,
+                `Crops harvested: ${StatsScreen.totalText(stats.crops, type => type.replace(/_/g, " "))}`,
+                `Crows hit: ${stats.crowsHit}`,
+                `Power-ups collected: ${StatsScreen.totalText(stats.powerUps, kind => EFFECTS[kind] ? EFFECTS[kind].label : kind)}`
+            ];
+            this.ui.totals.replaceChildren(...lines.map(line => cell("li", line)));
+        }
+        if (this.ui.times) {
+            const best = config ? this.store.bestTimes(config, mode) : {};
+            const levels = config ? config.levels : [];
+            this.ui.times.replaceChildren(...levels.map((level, i) => row([
+                cell("th", `Best ${modeLabel} time, level ${i + 1}${level.name ? ` (${level.name})` : ""}`),
+                cell("td", i + 1 in best ? `${best[i + 1].toFixed(1)}s` : "–")
+            ])));
+        }
+    }
+
+    /**
+     * Text of a total with its breakdown by name ("14 (wheat 9 · pumpkin 5)").
+     * @param {Object<string, number>} counts
+     * @param {function(string): string} label - Display name of a key.
+     * @returns {string}
+     */
+    static totalText(counts, label) {
+        const entries = Object.entries(counts).filter(([, n]) => n > 0).sort((a, b) => b[1] - a[1]);
+        const total = entries.reduce((sum, [, n]) => sum + n, 0);
+        return entries.length ? `${total} (${entries.map(([name, n]) => `${label(name)} ${n}`).join(" · ")})` : "0";
+    }
+
+    /**
+     * Asks for a name if a finished run makes the leaderboard of its seed and mode.
+     * @param {Simulation} sim - A simulation in GAME_OVER or WIN.
+     */
+    offerHighScore(sim) {
+        const entry = {
+            name: "",
+            score: sim.score,
+            level: sim.level,
+            won: sim.state === "WIN",
+            mode: sim.mode,
+            date: new Date().toISOString()
+        };
+        if (!this.store.qualifies(sim.seed, sim.config, sim.mode, entry.score)) return;
+        this.pending = { seed: sim.seed, config: sim.config, entry };
+        const who = sim.mode === "versus" && sim.winner !== null ? ` for Player ${sim.winner + 1}` : "";
+        if (this.ui.title) this.ui.title.textContent = `New high score${who}: ${entry.score} points!`;
+        if (this.ui.name) this.ui.name.value = this.store.playerName;
+        if (this.ui.form) this.ui.form.hidden = false;
+        if (this.ui.name) this.ui.name.focus();
+    }
+
+    /**
+     * Puts the pending run on the leaderboard under the entered name and shows the board.
+     */
+    saveName() {
+        if (!this.pending) return;
+        const { seed, config, entry } = this.pending;
+        entry.name = (this.ui.name ? this.ui.name.value.trim() : "").slice(0, 20) || "Anonymous";
+        this.store.playerName = entry.name;
+        this.store.addScore(seed, config, entry);
+        this.highlight = entry;
+        this.dismiss();
+        this.open();
+    }
+
+    /**
+     * Hides the name entry without saving.
+     */
+    dismiss() {
+        this.pending = null;
+        if (this.ui.name) this.ui.name.blur(); // hand the keyboard back to the game
+        if (this.ui.form) this.ui.form.hidden = true;
+    }
+
+    /**
+     * Downloads the leaderboards and lifetime stats as a JSON file.
+     */
+    exportStats() {
+        const url = URL.createObjectURL(new Blob([JSON.stringify(this.store.export(), null, 2)], { type: "application/json" }));
+        const a = document.createElement("a");
+        a.href = url;
+        a.download = "farmer-harvest-stats.json";
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Replaces the stored stats with those of a file chosen by the user.
+     * @param {File} file
+     */
+    importFile(file) {
+        if (!file) return;
+        file.text()
+            .then(text => {
+                this.store.import(JSON.parse(text));
+                this.render();
+                this.showMessage(`Imported ${file.name}.`);
+            })
+            .catch(error => this.showMessage(`Could not import stats: ${error.message}`))
+            .finally(() => { if (this.ui.import) this.ui.import.value = ""; });
+    }
+
+    /**
+     * Shows a line of feedback under the panel.
+     * @param {string} text
+     */
+    showMessage(text) {
+        if (this.ui.message) this.ui.message.textContent = text;
+    }
+}
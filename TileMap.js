@@ -0,0 +1,121 @@
+import { Scarecrow, Fence, Pond } from './Obstacle.js';
+import { WIDTH, HEIGHT, TILE } from './Utils.js';
+
+/**
+ * Hand-authored field layout on the TILE grid (30 columns x 18 rows), written in config as
+ * one string per row. Legend:
+ *   .  open ground
+ *   #  fence (blocks movement)
+ *   ~  pond (blocks movement)
+ *   S  scarecrow (blocks movement)
+ *   x  no-spawn zone (walkable, nothing spawns here)
+ *   F  farmer start tile (at most one)
+ *   c  crop bed (when a map has any, crops only appear on beds)
+ */
+export class TileMap {
+    static COLS = WIDTH / TILE;
+    static ROWS = HEIGHT / TILE;
+    static LEGEND = Object.freeze({
+        OPEN: ".",
+        FENCE: "#",
+        POND: "~",
+        SCARECROW: "S",
+        NO_SPAWN: "x",
+        START: "F",
+        CROP_BED: "c"
+    });
+
+    /**
+     * Checks map rows, reporting problems the same way as ConfigSchema.
+     * @param {string[]} rows - One string per row.
+     * @param {string} where - Path for error messages, e.g. "levels[0].map".
+     * @param {string[]} errors - Collected error messages.
+     */
+    static validate(rows, where, errors) {
+        const legend = Object.values(TileMap.LEGEND);
+        if (rows.length !== TileMap.ROWS) errors.push(`${where} must have ${TileMap.ROWS} rows (got ${rows.length})`);
+        let starts = 0;
+        rows.forEach((row, r) => {
+            if (typeof row !== "string" || row.length !== TileMap.COLS) {
+                errors.push(`${where}[${r}] must be a string of ${TileMap.COLS} tiles`);
+                return;
+            }
+            [...row].forEach((ch, c) => {
+                if (!legend.includes(ch)) errors.push(`${where}[${r}] column ${c}: unknown tile "${ch}" (expected one of ${legend.join(" ")})`);
+                if (ch === TileMap.LEGEND.START) starts++;
+            });
+        });
+        if (starts > 1) errors.push(`${where} has ${starts} farmer start tiles "F" (at most 1)`);
+    }
+
+    /**
+     * Creates a map from validated rows.
+     * @param {string[]} rows - One string per row.
+     */
+    constructor(rows) {
+        this.rows = rows;
+    }
+
+    /**
+     * Tile character at a column/row (open ground outside the map).
+     * @param {number} col
+     * @param {number} row
+     * @returns {string}
+     */
+    tileAt(col, row) {
+        return (this.rows[row] && this.rows[row][col]) || TileMap.LEGEND.OPEN;
+    }
+
+    /**
+     * All [column, row] tiles holding a given character.
+     * @param {string} ch - Legend character.
+     * @returns {number[][]}
+     */
+    cells(ch) {
+        const out = [];
+        this.rows.forEach((row, r) => [...row].forEach((tile, c) => { if (tile === ch) out.push([c, r]); }));
+        return out;
+    }
+
+    /**
+     * Farmer start tile, if the map has one.
+     * @returns {number[]|null} [column, row]
+     */
+    get start() {
+        return this.cells(TileMap.LEGEND.START)[0] || null;
+    }
+
+    /**
+     * Crop bed tiles.
+     * @returns {number[][]}
+     */
+    get cropBeds() {
+        return this.cells(TileMap.LEGEND.CROP_BED);
+    }
+
+    /**
+     * Tiles where something may spawn: not blocked and not a no-spawn zone.
+     * Obstacles that stick out of their tile (scarecrows are two tiles tall) are checked separately.
+     * @returns {number[][]}
+     */
+    spawnableCells() {
+        const { FENCE, POND, SCARECROW, NO_SPAWN } = TileMap.LEGEND;
+        const closed = [FENCE, POND, SCARECROW, NO_SPAWN];
+        const out = [];
+        this.rows.forEach((row, r) => [...row].forEach((tile, c) => { if (!closed.includes(tile)) out.push([c, r]); }));
+        return out;
+    }
+
+    /**
+     * Builds the obstacles the map places (fences, ponds, scarecrows).
+     * @returns {Entity[]}
+     */
+    createObstacles() {
+        const { FENCE, POND, SCARECROW } = TileMap.LEGEND;
+        return [
+            ...this.cells(FENCE).map(([c, r]) => new Fence(c * TILE, r * TILE)),
+            ...this.cells(POND).map(([c, r]) => new Pond(c * TILE, r * TILE)),
+            ...this.cells(SCARECROW).map(([c, r]) => new Scarecrow(c * TILE, r * TILE))
+        ];
+    }
+}
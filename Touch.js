@@ -0,0 +1,241 @@
+import { WIDTH, HEIGHT } from './Utils.js';
+import { NavGrid } from './NavGrid.js';
+
+/**
+ * TouchInput turns pointer events on the canvas into the movement vector the farmer reads, in one of
+ * two modes:
+ *  - "joystick": a floating virtual stick appears where a finger touches down and tilts as it drags;
+ *  - "tap": tapping a tile walks the farmer there along a NavGrid path.
+ * Only the first finger down drives the stick, so resting a second finger (or tapping a button)
+ * does not disturb it. Works with a mouse or pen too.
+ */
+export class TouchInput {
+    static RADIUS = 50;       // pixels of drag for full tilt
+    static PRECISION = 100;   // vector components are rounded to 1/100, like the gamepad stick
+    static MODES = Object.freeze(["joystick", "tap"]);
+
+    /**
+     * Creates a touch reader on the game canvas.
+     * @param {Game} game - The game instance (editor state, simulation, touch controls).
+     * @param {HTMLCanvasElement} canvas
+     */
+    constructor(game, canvas) {
+        this.game = game;
+        this.canvas = canvas;
+        this.mode = "joystick";
+        // Movement vector {x, y} (length up to 1) while the stick is held or a tap target is walked to.
+        this.move = null;
+        this.pointerId = null;
+        this.origin = null;
+        this.knob = null;
+        this.target = null;
+        this.path = [];
+        this.level = null; // level the tap target belongs to
+        this._onPointerDown = this.onPointerDown.bind(this);
+        this._onPointerMove = this.onPointerMove.bind(this);
+        this._onPointerUp = this.onPointerUp.bind(this);
+        canvas.addEventListener("pointerdown", this._onPointerDown);
+        canvas.addEventListener("pointermove", this._onPointerMove);
+        canvas.addEventListener("pointerup", this._onPointerUp);
+        canvas.addEventListener("pointercancel", this._onPointerUp);
+    }
+
+    /**
+     * Canvas coordinates of a pointer event (the canvas may be scaled by CSS).
+     * @param {PointerEvent} e
+     * @returns {{x: number, y: number}}
+     */
+    toCanvas(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return { x: (e.clientX - rect.left) * (WIDTH / rect.width), y: (e.clientY - rect.top) * (HEIGHT / rect.height) };
+    }
+
+    /**
+     * Whether the canvas belongs to gameplay (not the level editor).
+     * @returns {boolean}
+     */
+    get active() {
+        const { editor, sim } = this.game;
+        return Boolean(sim) && !(editor.active && !editor.playtesting);
+    }
+
+    /**
+     * Rounds a vector to PRECISION.
+     * @param {number} x
+     * @param {number} y
+     * @returns {{x: number, y: number}|null} Null for a zero vector.
+     */
+    vector(x, y) {
+        const round = v => Math.round(v * TouchInput.PRECISION) / TouchInput.PRECISION;
+        const move = { x: round(x), y: round(y) };
+        return move.x || move.y ? move : null;
+    }
+
+    /**
+     * Starts the stick, or picks a tap target.
+     * @param {PointerEvent} e
+     */
+    onPointerDown(e) {
+        if (!this.active) return;
+        if (e.pointerType === "touch") this.game.showTouchControls();
+        e.preventDefault();
+        const point = this.toCanvas(e);
+        if (this.mode === "tap") {
+            this.walkTo(point);
+            return;
+        }
+        if (this.pointerId !== null) return;
+        this.pointerId = e.pointerId;
+        this.canvas.setPointerCapture(e.pointerId);
+        this.origin = point;
+        this.knob = point;
+        this.move = null;
+    }
+
+    /**
+     * Tilts the stick with the finger that started it.
+     * @param {PointerEvent} e
+     */
+    onPointerMove(e) {
+        if (e.pointerId !== this.pointerId) return;
+        const { x, y } = this.toCanvas(e);
+        const dx = x - this.origin.x, dy = y - this.origin.y;
+        const scale = Math.min(1, TouchInput.RADIUS / (Math.hypot(dx, dy) || 1));
+        this.knob = { x: this.origin.x + dx * scale, y: this.origin.y + dy * scale };
+        this.move = this.vector(dx * scale / TouchInput.RADIUS, dy * scale / TouchInput.RADIUS);
+    }
+
+    /**
+     * Releases the stick when its finger lifts (or the browser cancels the touch).
+     * @param {PointerEvent} e
+     */
+    onPointerUp(e) {
+        if (e.pointerId !== this.pointerId) return;
+        this.pointerId = null;
+        this.origin = null;
+        this.knob = null;
+        this.move = null;
+    }
+
+    /**
+     * Plans a walk to the tile under a point, or to the nearest reachable tile when that one is
+     * blocked or fenced off.
+     * @param {{x: number, y: number}} point - Canvas coordinates.
+     */
+    walkTo({ x, y }) {
+        const { nav } = this.game.sim;
+        const player = this.game.localPlayer;
+        if (!player) return;
+        const start = nav.cellOf(player);
+        const [col, row] = nav.cellAt(x, y);
+        const reached = nav.reachable(start);
+        let goal = null, best = Infinity;
+        for (let r = 0; r < NavGrid.ROWS; r++) {
+            for (let c = 0; c < NavGrid.COLS; c++) {
+                const d = Math.hypot(c - col, r - row);
+                if (reached[r * NavGrid.COLS + c] && nav.walkable(c, r) && d < best) {
+                    goal = [c, r];
+                    best = d;
+                }
+            }
+        }
+        const path = goal && nav.findPath(start, goal);
+        this.cancel();
+        if (!path) return;
+        this.level = this.game.sim.level;
+        this.target = nav.cellCenter(path[path.length - 1]);
+        // Waypoints after the current cell; the last one is the target.
+        this.path = (path.length > 1 ? path.slice(1) : path).map(cell => nav.cellCenter(cell));
+    }
+
+    /**
+     * Stops walking to a tap target (e.g. when a key is pressed).
+     */
+    cancel() {
+        this.target = null;
+        this.path = [];
+        this.level = null;
+        if (this.pointerId === null) this.move = null;
+    }
+
+    /**
+     * Switches between joystick and tap-to-move.
+     * @returns {string} The new mode.
+     */
+    toggleMode() {
+        const { MODES } = TouchInput;
+        this.mode = MODES[(MODES.indexOf(this.mode) + 1) % MODES.length];
+        this.onPointerUp({ pointerId: this.pointerId });
+        this.cancel();
+        return this.mode;
+    }
+
+    /**
+     * Sets the movement vector towards the next waypoint of a tap target; called before each
+     * simulation step, so the farmer stops exactly on the tile.
+     * @param {Simulation} sim
+     * @param {Farmer} [player] - The farmer walking; player 1 by default.
+     */
+    steer(sim, player = sim.player) {
+        if (!this.target) return;
+        if (sim.level !== this.level) {
+            this.cancel();
+            return;
+        }
+        const here = { x: player.x + player.w / 2, y: player.y + player.h / 2 };
+        const stepLength = player.speed / sim.config.tickRate;
+        let goal = this.path[0] || this.target;
+        while (this.path.length > 1 && Math.hypot(goal.x - here.x, goal.y - here.y) < stepLength / 2) {
+            this.path.shift();
+            goal = this.path[0];
+        }
+        const dist = Math.hypot(goal.x - here.x, goal.y - here.y);
+        if (this.path.length === 1 && dist < stepLength / 2) {
+            this.cancel();
+            return;
+        }
+        const speed = Math.min(1, dist / stepLength);
+        this.move = this.vector((goal.x - here.x) / dist * speed, (goal.y - here.y) / dist * speed);
+    }
+
+    /**
+     * Draws the stick, or the tap target and the path to it.
+     * @param {CanvasRenderingContext2D} ctx - The 2D rendering context.
+     */
+    draw(ctx) {
+        ctx.save();
+        if (this.origin) {
+            ctx.fillStyle = "rgba(0, 0, 0, 0.12)";
+            ctx.beginPath();
+            ctx.arc(this.origin.x, this.origin.y, TouchInput.RADIUS, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillStyle = "rgba(0, 0, 0, 0.3)";
+            ctx.beginPath();
+            ctx.arc(this.knob.x, this.knob.y, TouchInput.RADIUS / 2.5, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        if (this.target) {
+            ctx.strokeStyle = "rgba(39, 174, 96, 0.8)";
+            ctx.lineWidth = 2;
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            this.path.forEach((p, i) => { if (i === 0) ctx.moveTo(p.x, p.y); else ctx.lineTo(p.x, p.y); });
+            ctx.stroke();
+            ctx.setLineDash([]);
+            ctx.beginPath();
+            ctx.arc(this.target.x, this.target.y, 8, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Cleans up event listeners.
+     */
+    dispose() {
+        this.canvas.removeEventListener("pointerdown", this._onPointerDown);
+        this.canvas.removeEventListener("pointermove", this._onPointerMove);
+        this.canvas.removeEventListener("pointerup", this._onPointerUp);
+        this.canvas.removeEventListener("pointercancel", this._onPointerUp);
+    }
+}
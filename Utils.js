@@ -9,4 +9,8 @@ export const TILE = 30; // for a subtle grid
 
 // Helpers
 export const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
-export const aabb = (a, b) => a.x < b.x + b.w && a.x + a.w > b.x && a.y < b.y + b.h && a.y + a.h > b.y;
\ No newline at end of file
+export const aabb = (a, b) => a.x < b.x + b.w && a.x + a.w > b.x && a.y < b.y + b.h && a.y + a.h > b.y;
+// Collision between entities (by their hitboxes, see Entity) or plain rectangles (by themselves).
+export const hitboxesOf = e => e.hitboxes || [e];
+export const boundsOf = e => e.bounds || e;
+export const overlaps = (a, b) => hitboxesOf(a).some(p => hitboxesOf(b).some(q => aabb(p, q)));
\ No newline at end of file
@@ -0,0 +1,201 @@
+/**
+ * Minimal server side of the WebSocket protocol (RFC 6455) on Node's own http and crypto modules:
+ * the upgrade handshake, text messages (fragmented or not), ping/pong and the closing handshake.
+ * Enough for the game server (server.js); binary messages and extensions are not supported.
+ */
+import { EventEmitter } from 'node:events';
+import { createHash } from 'node:crypto';
+
+// Fixed key suffix from the RFC, hashed into Sec-WebSocket-Accept.
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODE = Object.freeze({ CONTINUATION: 0x0, TEXT: 0x1, BINARY: 0x2, CLOSE: 0x8, PING: 0x9, PONG: 0xa });
+
+/**
+ * One WebSocket connection. Emits "message" (string) for each complete text message and "close"
+ * once the connection is gone.
+ * @extends EventEmitter
+ */
+export class WebSocketConnection extends EventEmitter {
+    static MAX_MESSAGE = 64 * 1024; // bytes; larger messages close the connection (1009)
+
+    /**
+     * Completes the upgrade handshake of an HTTP request, or refuses it.
+     * @param {http.IncomingMessage} request - The request of the server's "upgrade" event.
+     * @param {net.Socket} socket
+     * @returns {WebSocketConnection|null} The connection, or null if the request was refused.
+     */
+    static accept(request, socket) {
+        const key = request.headers['sec-websocket-key'];
+        const upgrade = (request.headers.upgrade || '').toLowerCase();
+        if (upgrade !== 'websocket' || !key || request.headers['sec-websocket-version'] !== '13') {
+            socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+            return null;
+        }
+        const accept = createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '', ''
+        ].join('\r\n'));
+        return new WebSocketConnection(socket);
+    }
+
+    /**
+     * Wraps an upgraded socket.
+     * @param {net.Socket} socket
+     */
+    constructor(socket) {
+        super();
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        // Payloads of a fragmented message so far.
+        this.fragments = [];
+        this.closed = false;
+        socket.setNoDelay(true);
+        socket.on('data', chunk => this.onData(chunk));
+        socket.on('close', () => this.finish());
+        socket.on('error', () => socket.destroy());
+    }
+
+    /**
+     * Buffers incoming bytes and handles every complete frame in them.
+     * @param {Buffer} chunk
+     */
+    onData(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        while (!this.closed && this.readFrame());
+    }
+
+    /**
+     * Reads one frame from the buffer.
+     * @returns {boolean} True if a frame was consumed.
+     */
+    readFrame() {
+        const buffer = this.buffer;
+        if (buffer.length < 2) return false;
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+        if (length === 126) {
+            if (buffer.length < 4) return false;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return false;
+            length = buffer.readUInt32BE(2) > 0 ? Infinity : buffer.readUInt32BE(6);
+            offset = 10;
+        }
+        if (!masked) {
+            this.close(1002, 'Client frames must be masked');
+            return false;
+        }
+        if (length > WebSocketConnection.MAX_MESSAGE) {
+            this.close(1009, 'Message too big');
+            return false;
+        }
+        if (buffer.length < offset + 4 + length) return false;
+        const mask = buffer.subarray(offset, offset + 4);
+        const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+        this.buffer = buffer.subarray(offset + 4 + length);
+        this.handleFrame(fin, opcode, payload);
+        return true;
+    }
+
+    /**
+     * Acts on one frame.
+     * @param {boolean} fin - Last frame of its message.
+     * @param {number} opcode
+     * @param {Buffer} payload - Unmasked payload.
+     */
+    handleFrame(fin, opcode, payload) {
+        switch (opcode) {
+            case OPCODE.TEXT:
+            case OPCODE.CONTINUATION: {
+                this.fragments.push(payload);
+                const size = this.fragments.reduce((sum, part) => sum + part.length, 0);
+                if (size > WebSocketConnection.MAX_MESSAGE) {
+                    this.close(1009, 'Message too big');
+                    return;
+                }
+                if (!fin) return;
+                const text = Buffer.concat(this.fragments).toString('utf8');
+                this.fragments = [];
+                this.emit('message', text);
+                return;
+            }
+            case OPCODE.PING:
+                this.write(OPCODE.PONG, payload);
+                return;
+            case OPCODE.PONG:
+                return;
+            case OPCODE.CLOSE:
+                this.close(payload.length >= 2 ? payload.readUInt16BE(0) : 1000);
+                return;
+            default:
+                this.close(1003, 'Only text messages are supported');
+        }
+    }
+
+    /**
+     * Sends a frame (server frames are not masked).
+     * @param {number} opcode
+     * @param {Buffer} payload
+     */
+    write(opcode, payload) {
+        if (this.closed || this.socket.destroyed) return;
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 0x10000) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeUInt32BE(0, 2);
+            header.writeUInt32BE(payload.length, 6);
+        }
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    /**
+     * Sends a text message.
+     * @param {string} text
+     */
+    send(text) {
+        this.write(OPCODE.TEXT, Buffer.from(text, 'utf8'));
+    }
+
+    /**
+     * Starts (or answers) the closing handshake and ends the connection.
+     * @param {number} [code=1000] - Close status code.
+     * @param {string} [reason]
+     */
+    close(code = 1000, reason = '') {
+        if (this.closed) return;
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this.write(OPCODE.CLOSE, payload);
+        this.socket.end();
+        this.finish();
+    }
+
+    /**
+     * Marks the connection closed and tells listeners, once.
+     */
+    finish() {
+        if (this.closed) return;
+        this.closed = true;
+        this.emit('close');
+    }
+}
@@ -1,14 +1,51 @@
+import { GamepadInput } from './Gamepad.js';
+import { TouchInput } from './Touch.js';
+import { ACTIONS, KeyBindings } from './Bindings.js';
+
+/**
+ * Movement of an input source as a vector: its analog `move` vector ({x, y}, length up to 1) when it
+ * has one, else the arrow keys it holds (each axis -1, 0 or 1, so keyboard diagonals are faster).
+ * Input sources are anything with a `keys` Set and optionally a `move` vector (Input, ReplayInput, Bot).
+ * @param {{keys: Set<string>, move?: {x: number, y: number}|null}} input
+ * @returns {{x: number, y: number}}
+ */
+export const movementOf = input => {
+    if (input.move) return input.move;
+    const { keys } = input;
+    return {
+        x: keys.has("ArrowRight") - keys.has("ArrowLeft"),
+        y: keys.has("ArrowDown") - keys.has("ArrowUp")
+    };
+};
+
 /**
- * Input class handles keyboard events.
+ * Input class handles keyboard events, a gamepad through GamepadInput and touch through TouchInput.
+ * Keys go through the KeyBindings action layer: held movement keys show up in `keys` as the canonical
+ * arrow key of their action (what the simulation and replays read), other actions fire once per press.
+ * In two-player modes player 2's movement keys go to the separate input source `player2` instead
+ * (the gamepad and touch always drive player 1).
  */
 export class Input {
     /**
      * Creates a new Input handler.
      * @param {Game} game - The game instance for pause toggling.
+     * @param {Object} [options]
+     * @param {number} [options.deadZone] - Gamepad stick dead zone, 0..1.
+     * @param {HTMLCanvasElement} [options.canvas] - Canvas for touch controls (none without it).
      */
-    constructor(game) {
+    constructor(game, { deadZone, canvas } = {}) {
         this.game = game;
         this.keys = new Set();
+        // Input source of player 2's farmer, fed while twoPlayer is set.
+        this.player2 = { keys: new Set() };
+        this.twoPlayer = false;
+        this.bindings = new KeyBindings();
+        // Physical keys (KeyboardEvent.code) currently held.
+        this.held = new Set();
+        // While set, the next key press is handed to it instead of triggering actions (rebinding).
+        this.capture = null;
+        this.gamepad = new GamepadInput(game, { deadZone });
+        this.touch = canvas ? new TouchInput(game, canvas) : null;
         // Q1.b: .bind(this) is required here for the keydown event listener because onKeyDown is a regular instance method; when passed as a callback to addEventListener, 'this' would otherwise dynamically bind to the event target (e.g., window/global), losing the Input instance context. An arrow function could lexically bind 'this' to Input, but .bind is used to explicitly preserve the dynamic binding to the instance while allowing the method to be reused.
         this._onKeyDown = this.onKeyDown.bind(this); // bind #1
         // Q1.b: .bind(this) is required here for the keyup event listener for the same reason as above: to ensure 'this' in onKeyUp refers to the Input instance, not the global object.
@@ -16,6 +53,11 @@ export class Input {
         // Q1.c: In event listeners like keydown/keyup, the bound method ensures 'this' is explicitly bound to the class instance (Input), overriding the default dynamic binding which would set it to the event dispatcher.
         window.addEventListener("keydown", this._onKeyDown);
         window.addEventListener("keyup", this._onKeyUp);
+        // Keys released while the window is in the background never send keyup, so drop everything held.
+        this._onBlur = this.releaseAll.bind(this);
+        this._onVisibilityChange = () => { if (document.hidden) this.releaseAll(); };
+        window.addEventListener("blur", this._onBlur);
+        document.addEventListener("visibilitychange", this._onVisibilityChange);
     }
 
     /**
@@ -23,15 +65,93 @@ export class Input {
      * @param {KeyboardEvent} e - The keydown event.
      */
     onKeyDown(e) {
-        if (e.key === "p" || e.key === "P") this.game.togglePause();
-        this.keys.add(e.key);
+        if (this.capture) {
+            e.preventDefault();
+            this.capture(e.code);
+            return;
+        }
+        // Typing in the editor's text and number fields is not gameplay.
+        if (e.target && e.target.closest && e.target.closest("input, textarea, select")) return;
+        const action = this.bindings.actionFor(e.code);
+        if (!action) return;
+        e.preventDefault();
+        if (ACTIONS[action].key) {
+            this.held.add(e.code);
+            if (this.touch) this.touch.cancel(); // keys take over from tap-to-move
+            this.syncKeys();
+            return;
+        }
+        if (e.repeat) return;
+        if (action === "pause") this.game.togglePause();
+        if (action === "continue") this.game.continueLevel();
+        if (action === "restart") this.game.reset();
+        if (action === "navDebug") this.game.toggleNavDebug();
     }
 
     /**
      * Handles key up events.
      * @param {KeyboardEvent} e - The keyup event.
      */
-    onKeyUp(e) { this.keys.delete(e.key); }
+    onKeyUp(e) {
+        if (!this.held.delete(e.code)) return;
+        this.syncKeys();
+    }
+
+    /**
+     * Rebuilds `keys` (and player 2's) from the held keys: the canonical arrow key of each held movement action.
+     */
+    syncKeys() {
+        this.keys.clear();
+        this.player2.keys.clear();
+        this.held.forEach(code => {
+            const action = this.bindings.actionFor(code);
+            if (!action || !ACTIONS[action].key) return;
+            const { key, player } = ACTIONS[action];
+            (player === 1 && this.twoPlayer ? this.player2 : this).keys.add(key);
+        });
+    }
+
+    /**
+     * Switches between one farmer (every movement key moves it) and two (each player's keys move their own).
+     * @param {boolean} twoPlayer
+     */
+    setTwoPlayer(twoPlayer) {
+        this.twoPlayer = twoPlayer;
+        this.syncKeys();
+    }
+
+    /**
+     * Forgets every held key (window lost focus, tab hidden, bindings changed).
+     */
+    releaseAll() {
+        this.held.clear();
+        this.keys.clear();
+        this.player2.keys.clear();
+    }
+
+    /**
+     * Analog movement from touch or the gamepad, or null to move by the arrow keys.
+     * @returns {{x: number, y: number}|null}
+     */
+    get move() {
+        return (this.touch && this.touch.move) || this.gamepad.move;
+    }
+
+    /**
+     * Updates input that follows the world (tap-to-move); called before each simulation step.
+     * @param {Simulation} sim
+     * @param {Farmer} [player] - The farmer this input moves; player 1 by default.
+     */
+    steer(sim, player = sim.player) {
+        if (this.touch) this.touch.steer(sim, player);
+    }
+
+    /**
+     * Reads devices that have to be polled (the gamepad); called once per frame.
+     */
+    poll() {
+        this.gamepad.poll();
+    }
 
     /**
      * Cleans up event listeners.
@@ -39,5 +159,9 @@ export class Input {
     dispose() {
         window.removeEventListener("keydown", this._onKeyDown);
         window.removeEventListener("keyup", this._onKeyUp);
+        window.removeEventListener("blur", this._onBlur);
+        document.removeEventListener("visibilitychange", this._onVisibilityChange);
+        this.gamepad.dispose();
+        if (this.touch) this.touch.dispose();
     }
 }
\ No newline at end of file
@@ -0,0 +1,155 @@
+/**
+ * Online multiplayer server: serves the game's files over HTTP and runs authoritative game rooms
+ * over WebSocket (at /ws?room=name), so several browsers can play the same game.
+ * Usage: node server.js [--port 8080] [--config path/to/config.json] [--seed S]
+ * Then open http://localhost:8080/?online in several tabs (add &room=... for separate games).
+ */
+import { createServer } from 'node:http';
+import { readFileSync, readFile } from 'node:fs';
+import { resolve, extname, dirname, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { validateConfig } from './ConfigSchema.js';
+import { WebSocketConnection } from './WebSocketConnection.js';
+import { Room } from './Room.js';
+import { PROTOCOL_VERSION, parseMessage } from './Net.js';
+
+const ROOT = dirname(fileURLToPath(import.meta.url));
+
+const CONTENT_TYPES = Object.freeze({
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+});
+
+const TICK_MS = 1000 / 120; // how often rooms catch up with wall time
+
+/**
+ * Reads --name value pairs from the command line.
+ * @param {string[]} argv
+ * @returns {Object}
+ */
+function parseArgs(argv) {
+    const args = { port: 8080, config: 'config.json', seed: undefined };
+    for (let i = 0; i < argv.length; i += 2) {
+        const name = argv[i].replace(/^--/, '');
+        if (!(name in args)) {
+            console.error(`Unknown option ${argv[i]}`);
+            process.exit(1);
+        }
+        args[name] = argv[i + 1];
+    }
+    args.port = Number(args.port);
+    return args;
+}
+
+/**
+ * Loads and validates the levels config, exiting with the problems if it is invalid.
+ * @param {string} path
+ * @returns {Object}
+ */
+function loadConfig(path) {
+    const { config, errors } = validateConfig(JSON.parse(readFileSync(resolve(ROOT, path), 'utf8')));
+    if (errors.length) {
+        console.error(`${path} has problems:`);
+        errors.forEach(error => console.error(`  - ${error}`));
+        process.exit(1);
+    }
+    return config;
+}
+
+/**
+ * Serves a file under the game directory; dotfiles and paths outside it are not found.
+ * @param {http.IncomingMessage} request
+ * @param {http.ServerResponse} response
+ */
+function serveFile(request, response) {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    let path;
+    try {
+        path = resolve(ROOT, '.' + decodeURIComponent(pathname === '/' ? '/index.html' : pathname));
+    } catch (error) {
+        response.writeHead(400).end('Bad request');
+        return;
+    }
+    if (!path.startsWith(ROOT + sep) || path.slice(ROOT.length + 1).split(sep).some(part => part.startsWith('.'))) {
+        response.writeHead(404).end('Not found');
+        return;
+    }
+    readFile(path, (error, data) => {
+        if (error) {
+            response.writeHead(404).end('Not found');
+            return;
+        }
+        response.writeHead(200, { 'Content-Type': CONTENT_TYPES[extname(path)] || 'application/octet-stream' });
+        response.end(data);
+    });
+}
+
+const args = parseArgs(process.argv.slice(2));
+const config = loadConfig(args.config);
+const rooms = new Map();
+
+/**
+ * Connects a WebSocket to its room once it says hello.
+ * @param {WebSocketConnection} socket
+ * @param {string} roomName
+ */
+function connect(socket, roomName) {
+    const member = { send: message => socket.send(JSON.stringify(message)) };
+    let room = null;
+    socket.on('message', text => {
+        const message = parseMessage(text);
+        if (!message) return;
+        // A message the room cannot handle closes this connection only, never the server.
+        try {
+            if (room) {
+                room.receive(member, message);
+            } else if (message.type === 'hello') {
+                if (message.protocol !== PROTOCOL_VERSION) {
+                    member.send({ type: 'error', message: `Protocol ${message.protocol} is not supported (expected ${PROTOCOL_VERSION})` });
+                    socket.close(1008, 'Protocol mismatch');
+                    return;
+                }
+                if (!rooms.has(roomName)) rooms.set(roomName, new Room(roomName, config, { seed: args.seed }));
+                room = rooms.get(roomName);
+                room.join(member, message.name);
+                console.log(`[${roomName}] player joined (${room.members.size} connected)`);
+            }
+        } catch (error) {
+            console.error(`[${roomName}] bad message:`, error);
+            socket.close(1008, 'Bad message');
+        }
+    });
+    socket.on('close', () => {
+        if (!room) return;
+        room.leave(member);
+        console.log(`[${roomName}] player left (${room.members.size} connected)`);
+        if (room.empty) rooms.delete(roomName);
+    });
+}
+
+const server = createServer(serveFile);
+server.on('upgrade', (request, socket) => {
+    const url = new URL(request.url, 'http://localhost');
+    if (url.pathname !== '/ws') {
+        socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+        return;
+    }
+    const connection = WebSocketConnection.accept(request, socket);
+    if (connection) connect(connection, (url.searchParams.get('room') || 'default').slice(0, 40));
+});
+
+let last = performance.now();
+setInterval(() => {
+    const now = performance.now();
+    rooms.forEach(room => room.update((now - last) / 1000));
+    last = now;
+}, TICK_MS);
+
+server.listen(args.port, () => {
+    console.log(`Farmer Harvest server on http://localhost:${args.port}/?online (WebSocket at /ws)`);
+});
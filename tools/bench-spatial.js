@@ -0,0 +1,91 @@
+/**
+ * Benchmarks the SpatialHash broadphase against the linear scans it replaced.
+ * Usage: node tools/bench-spatial.js [--steps N]
+ * For growing entity counts it fills the field with crop-sized boxes and runs the per-step work of a
+ * crowded simulation: a tenth of the entities move (and are re-bucketed) and each checks its own box
+ * for overlaps, the farmer's box is checked, and RADIUS_QUERIES crows look around them.
+ */
+import { performance } from 'node:perf_hooks';
+import { SpatialHash } from '../SpatialHash.js';
+import { Random } from '../Random.js';
+import { WIDTH, HEIGHT, clamp, aabb } from '../Utils.js';
+
+const steps = Number(process.argv[process.argv.indexOf('--steps') + 1]) || 50;
+const RADIUS = 120;        // a crow's flocking radius
+const RADIUS_QUERIES = 20; // crows looking around each step
+
+/**
+ * Seeded entity boxes spread over the field.
+ * @param {number} count
+ * @returns {Object[]}
+ */
+function makeEntities(count) {
+    const rng = new Random(count);
+    return Array.from({ length: count }, () => ({ x: rng.range(0, WIDTH - 20), y: rng.range(0, HEIGHT - 26), w: 20, h: 26 }));
+}
+
+/**
+ * Runs the step workload and times it.
+ * @param {Object[]} entities
+ * @param {{moved: function(Object): void, rect: function(Object): Object[], radius: function(number, number): Object[]}} ops
+ * @returns {{ms: number, hits: number}} Milliseconds per step, and a checksum of the query results.
+ */
+function run(entities, ops) {
+    const rng = new Random(7);
+    const farmer = { x: 0, y: 0, w: 34, h: 34 };
+    let hits = 0;
+    const started = performance.now();
+    for (let s = 0; s < steps; s++) {
+        for (let i = s % 10; i < entities.length; i += 10) {
+            const e = entities[i];
+            e.x = clamp(e.x + rng.range(-3, 3), 0, WIDTH - e.w);
+            e.y = clamp(e.y + rng.range(-3, 3), 0, HEIGHT - e.h);
+            ops.moved(e);
+            hits += ops.rect(e).length;
+        }
+        farmer.x = rng.range(0, WIDTH - farmer.w);
+        farmer.y = rng.range(0, HEIGHT - farmer.h);
+        hits += ops.rect(farmer).length;
+        for (let i = 0; i < RADIUS_QUERIES; i++) {
+            hits += ops.radius(rng.range(0, WIDTH), rng.range(0, HEIGHT)).length;
+        }
+    }
+    return { ms: (performance.now() - started) / steps, hits };
+}
+
+/**
+ * Times both approaches on the same field.
+ * @param {number} count - Number of entities.
+ * @returns {Object} Table row.
+ * @throws {Error} If the two return different results.
+ */
+function compare(count) {
+    const linearEntities = makeEntities(count);
+    const linear = run(linearEntities, {
+        moved: () => {},
+        rect: box => linearEntities.filter(e => e !== box && aabb(box, e)),
+        radius: (x, y) => linearEntities.filter(e => Math.hypot(e.x + e.w / 2 - x, e.y + e.h / 2 - y) <= RADIUS)
+    });
+
+    const hashedEntities = makeEntities(count);
+    const index = new SpatialHash();
+    hashedEntities.forEach(e => index.insert(e));
+    const hashed = run(hashedEntities, {
+        moved: e => index.update(e),
+        rect: box => index.queryRect(box),
+        radius: (x, y) => index.queryRadius(x, y, RADIUS)
+    });
+
+    if (linear.hits !== hashed.hits) throw new Error(`${count} entities: query results differ (${linear.hits} vs ${hashed.hits})`);
+    return {
+        entities: count,
+        'linear ms/step': linear.ms.toFixed(3),
+        'spatial hash ms/step': hashed.ms.toFixed(3),
+        speedup: `${(linear.ms / hashed.ms).toFixed(1)}×`
+    };
+}
+
+// An untimed round on each side of LINEAR_BELOW first, so the JIT has compiled both before the first row.
+compare(100);
+compare(SpatialHash.LINEAR_BELOW);
+console.table([100, 500, 1000, 2000, 5000, 10000].map(compare));
@@ -0,0 +1,107 @@
+/**
+ * Runs the Bot through seeded games of each level headlessly and reports how achievable the levels are.
+ * Usage: node tools/bot-batch.js [--games N] [--config path/to/config.json] [--format json|csv] [--level L]
+ * Each level is played on its own, N times with seeds 1..N, as fast as the machine allows.
+ * Prints per level: games, wins, win rate, average score, average time-to-goal (won games) and average crow hits.
+ */
+import { readFileSync } from 'node:fs';
+import { validateConfig } from '../ConfigSchema.js';
+import { Simulation } from '../Simulation.js';
+import { Bot } from '../Bot.js';
+
+/**
+ * Prints a usage error and exits.
+ * @param {string} message
+ */
+function fail(message) {
+    console.error(message);
+    process.exit(1);
+}
+
+/**
+ * Reads --name value pairs from the command line; exits if an option is unknown or --games or --level
+ * is not a whole number >= 1.
+ * @param {string[]} argv
+ * @returns {Object}
+ */
+function parseArgs(argv) {
+    const args = { games: 20, config: 'config.json', format: 'json', level: null };
+    for (let i = 0; i < argv.length; i += 2) {
+        const name = argv[i].replace(/^--/, '');
+        if (!(name in args)) fail(`Unknown option ${argv[i]}`);
+        args[name] = argv[i + 1];
+    }
+    ['games', 'level'].forEach(name => {
+        if (args[name] === null) return;
+        const value = Number(args[name]);
+        if (!Number.isInteger(value) || value < 1) fail(`--${name} must be a whole number >= 1 (got ${args[name]})`);
+        args[name] = value;
+    });
+    return args;
+}
+
+/**
+ * Plays one level once with the bot.
+ * @param {Object} config - Validated config holding just the level to play.
+ * @param {number} seed
+ * @returns {{won: boolean, score: number, seconds: number, crowHits: number}}
+ */
+function playOnce(config, seed) {
+    const bot = new Bot();
+    const sim = new Simulation(config, { input: bot, seed });
+    const dt = 1 / config.tickRate;
+    let crowHits = 0;
+    sim.on('crowHit', ({ count }) => { crowHits += count; });
+    sim.start();
+    while (sim.state === Simulation.State.PLAYING) {
+        bot.think(sim);
+        sim.step(dt);
+    }
+    return { won: sim.state === Simulation.State.WIN, score: sim.score, seconds: sim.levelElapsed, crowHits };
+}
+
+/**
+ * Plays a level N times and sums up the results.
+ * @param {Object} config - Validated full config.
+ * @param {number} index - Level index.
+ * @param {number} games
+ * @returns {Object} One report row.
+ */
+function playLevel(config, index, games) {
+    const level = config.levels[index];
+    const results = [];
+    for (let seed = 1; seed <= games; seed++) results.push(playOnce({ ...config, levels: [level] }, seed));
+    const average = values => values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+    const round = value => value === null ? null : Math.round(value * 100) / 100;
+    const wins = results.filter(r => r.won);
+    return {
+        level: index + 1,
+        name: level.name || '',
+        goal: level.goal,
+        timeLimit: level.timeLimit,
+        games,
+        wins: wins.length,
+        winRate: round(wins.length / games),
+        avgScore: round(average(results.map(r => r.score))),
+        avgTimeToGoal: round(average(wins.map(r => r.seconds))),
+        avgCrowHits: round(average(results.map(r => r.crowHits)))
+    };
+}
+
+const args = parseArgs(process.argv.slice(2));
+const { config, errors } = validateConfig(JSON.parse(readFileSync(args.config, 'utf8')));
+if (errors.length) {
+    errors.forEach(message => console.error(`${args.config}: ${message}`));
+    process.exit(1);
+}
+if (args.level > config.levels.length) fail(`--level ${args.level}: ${args.config} has ${config.levels.length} levels`);
+const indexes = args.level ? [args.level - 1] : config.levels.map((_, i) => i);
+const report = indexes.map(i => playLevel(config, i, args.games));
+
+if (args.format === 'csv') {
+    const columns = Object.keys(report[0]);
+    console.log(columns.join(','));
+    report.forEach(row => console.log(columns.map(c => JSON.stringify(row[c] ?? '')).join(',')));
+} else {
+    console.log(JSON.stringify(report, null, 2));
+}
@@ -0,0 +1,24 @@
+/**
+ * Validates a levels config file from the command line.
+ * Usage: node tools/validate-config.js [path/to/config.json]
+ * Exits with status 1 and prints one line per problem when the file is invalid.
+ */
+import { readFileSync } from 'node:fs';
+import { validateConfig } from '../ConfigSchema.js';
+
+const path = process.argv[2] || 'config.json';
+
+let raw;
+try {
+    raw = JSON.parse(readFileSync(path, 'utf8'));
+} catch (error) {
+    console.error(`${path}: ${error.message}`);
+    process.exit(1);
+}
+
+const { config, errors } = validateConfig(raw);
+if (errors.length) {
+    errors.forEach(message => console.error(`${path}: ${message}`));
+    process.exit(1);
+}
+console.log(`${path}: OK (${config.levels.length} levels)`);